@@ -9,19 +9,13 @@ const css = LitElement.prototype.css;
 
 const CARD_NAME = 'Universal Battery Card';
 const CARD_DESCRIPTION = 'A generic battery card for any Home Assistant battery system';
+const BADGE_NAME = 'Universal Battery Badge';
+const BADGE_DESCRIPTION = 'The battery card\'s SOC ring, percentage and power direction as a badge';
+const FEATURE_NAME = 'Universal battery';
 const VERSION = '2.9.4';
 
 const DEFAULT_CONFIG = {
   name: 'Battery',
-  soc_threshold_very_high: 80,
-  soc_threshold_high: 60,
-  soc_threshold_medium: 40,
-  soc_threshold_low: 20,
-  soc_colour_very_high: [0, 128, 0],
-  soc_colour_high: [0, 128, 0],
-  soc_colour_medium: [255, 166, 0],
-  soc_colour_low: [219, 68, 55],
-  soc_colour_very_low: [139, 0, 0],
   decimal_places: 3,
   enable_trickle_charge_filter: false,
   trickle_charge_threshold: 25,
@@ -31,19 +25,40 @@ const DEFAULT_CONFIG = {
   health_entity: null,
   cutoff_entity: null,
   cutoff: null,
+  layout: 'rings', // 'rings', or 'bar' for horizontal SOC and power bars
   gauge_thickness: 15, // Ring thickness as % of gauge (5-15, default 15)
   power_gauge_scale: 78, // Power gauge size as % of main gauge (30-100, default 78)
   show_runtime: true,
+  power_average_minutes: 0, // 0 = runtime from instantaneous power
+  runtime_estimate: 'average', // 'average', 'now', 'both' — only used while averaging
   show_rates: true,
   show_rate_labels: true,
   show_gauge_labels: true,
   show_power_percent: true,
   show_power_direction: true,
   show_capacity: true,
+  show_energy_value: true,
+  charge_efficiency: 90, // % of the energy drawn while charging that ends up stored, for the cost to full
   show_stats: true,
+  show_packs: true,
+  soc_colour_mode: 'step',
+  soc_gradient_arc: false,
+  show_history: false,
+  history_hours: 24,
+  history_show_power: false,
+  show_energy_today: false,
+  show_schedule_strip: true,
+  show_cells: true,
+  interactive_markers: false,
+  marker_confirmation: false,
+  mode_dropdown: false,
+  mode_confirmation: false,
+  cell_delta_warning: 50, // mV between the highest and lowest cell before the strip warns
   header_style: 'full', // 'none', 'title', 'full'
   gauge_label_position: 'above', // 'above' or 'below': which side of the SOC ring Reserve/Cutoff sit
   invert_power: false,
+  invert_current: false,
+  invert_grid_power: false,
   date_format: 'auto', // 'auto' (HA locale), 'MM/DD', 'DD/MM'
   time_format: 'auto', // 'auto' (HA locale), '24', '12'
 };
@@ -70,10 +85,19 @@ const CARD_PADDING_Y = 32;             // ha-card 16px top + 16px bottom
 const CARD_BORDER_Y = 2;               // ha-card border-width defaults to 1px top + bottom
 const HEADER_FALLBACK_FULL = 68;       // title + state row + capacity row at default type scale
 const HEADER_FALLBACK_TITLE = 30;      // pre-render estimate for title-only header
+const HEADER_VALUE_ROW_PX = 18;        // the Stored / Cost to full row under a full header
 const FOOTER_FALLBACK = 30;            // one line + 10px padding-top + 1px border-top
+const FOOTER_LINE_PX = 19;             // each further footer line (runtime_estimate: both)
 const HEADER_MARGIN_PX = 16;           // .header margin-bottom — sits outside offsetHeight
 const FOOTER_MARGIN_PX = 8;            // .footer margin-top — sits outside offsetHeight
 const RATE_LABELS_MARGIN_PX = 8;       // .rate-labels margin-top — in flow below the power gauge
+const DETAILS_MARGIN_PX = 8;           // .details margin-top — sits outside offsetHeight
+const DETAILS_GAP_PX = 8;              // .details row-gap between strips
+const PACKS_FALLBACK = 32;             // one row of pack chips (multi-pack mode)
+const HISTORY_STRIP_PX = 40;           // .history height — fixed, so this is exact, not a guess
+const ENERGY_TODAY_FALLBACK = 19;      // one line of In/Out today text
+const SCHEDULE_STRIP_FALLBACK = 28;    // 12px bar + a line of hour labels
+const CELLS_STRIP_FALLBACK = 44;       // 24px of cell bars + a line of min/max/delta text
 
 // Gauge gap heuristic: ramps from MIN at narrow widths to MAX at wide widths.
 // `(availableWidth - WIDE) * SLOPE` is the ramp expression.
@@ -82,6 +106,16 @@ const GAUGE_GAP_MAX = 40;
 const GAUGE_GAP_RAMP_WIDTH = 200;      // availableWidth at which ramp starts producing >MIN
 const GAUGE_GAP_RAMP_SLOPE = 0.15;
 
+// Bar layout (layout: bar). The SOC bar's height is what the sizing pass solves for; the power
+// bar follows it at power_gauge_scale, the way the power ring follows the SOC ring.
+const BAR_HEIGHT_MIN = 24;             // below this the readout beside the bar is unreadable
+const BAR_HEIGHT_MAX = 56;             // taller only spends the height the layout exists to save
+const BAR_HEIGHT_DEFAULT = 36;         // where the card's height follows its content
+const BAR_LABEL_PX = 19;               // one line of text under a bar, with its margin-top
+const BAR_TEXT_MARGIN_PX = 4;          // .bar-labels / .bar-caption margin-top — outside offsetHeight
+const BAR_GAP_PX = 12;                 // .gauges-container.bars row-gap between the two bars
+const BARS_MIN_WIDTH_PX = 160;         // battery icon + a usable bar + the SOC readout
+
 // Encroach (gauges-into-header) decision
 const ENCROACH_SAFETY_PX = 24;         // breathing room between gauge edge and header text
 const ENCROACH_THRESHOLD_PX = 4;       // min size gain to bother engaging encroach
@@ -98,6 +132,20 @@ const LABELS_BELOW_MARGIN_PX = 8;                // .gauge-labels.below margin-t
 const LABELS_BLOCK_FALLBACK_PX = 19;             // one line + gap, until the row is measured
 const STATS_PANEL_HIDE_BELOW_PX = 350;           // stats panel hidden when card narrower than this
 
+// Long-term statistics are compiled every 5 minutes, so refreshing faster gains nothing
+const ENERGY_REFRESH_MS = 5 * 60000;
+// Schedules are re-read when their entities change state; this catches calendar events
+// added without one, and windows rolling into view as the day moves on
+const SCHEDULE_REFRESH_MS = 15 * 60000;
+const SCHEDULE_SPAN_HOURS = 24;        // how far ahead the schedule strip looks
+
+// Gesture timing for tap / hold / double-tap actions, matching HA's own action handler
+const HOLD_DELAY_MS = 500;             // press length that counts as a hold
+const DOUBLE_TAP_WINDOW_MS = 250;      // second tap within this counts as a double tap
+const HOLD_MOVE_TOLERANCE_PX = 10;     // a press that moves further is a drag or scroll, not a hold
+const MARKER_SETTLE_MS = 5000;         // a released marker holds its new value this long at most
+                                       // while waiting for the entity to report it
+
 // HA layout grid units
 const MASONRY_UNIT_PX = 50;            // masonry view: 1 getCardSize unit
 const SECTION_COL_PX = 30;             // sections view grid cell width
@@ -165,15 +213,477 @@ function entityExists(hass, entityId) {
 }
 
 /**
- * Converts kW/kWh values to W/Wh (multiplies by 1000)
+ * Whether the config aggregates several packs through a `batteries:` list
+ * @param {Object} config - Card configuration
+ * @returns {boolean}
+ */
+function hasBatteryList(config) {
+  return Array.isArray(config?.batteries) && config.batteries.length > 0;
+}
+
+/**
+ * The entities a config or pack reads power from: power_entity, or else the unsigned
+ * charge_power_entity / discharge_power_entity pair, or else current_entity and
+ * voltage_entity — current first, since it's the one that carries the direction
+ * @param {Object} source - Card configuration or pack entry
+ * @returns {string[]} Configured entity ids
+ */
+function powerEntityIds(source) {
+  if (source.power_entity) return [source.power_entity];
+  if (source.charge_power_entity || source.discharge_power_entity) {
+    return [source.charge_power_entity, source.discharge_power_entity].filter(Boolean);
+  }
+  return [source.current_entity, source.voltage_entity].filter(Boolean);
+}
+
+/**
+ * Whether a config or pack derives power from voltage_entity × current_entity, having
+ * neither a power_entity nor the charge/discharge pair
+ * @param {Object} source - Card configuration or pack entry
+ * @returns {boolean}
+ */
+function usesVoltageCurrent(source) {
+  return !source.power_entity && !source.charge_power_entity && !source.discharge_power_entity &&
+    !!(source.voltage_entity || source.current_entity);
+}
+
+/**
+ * Reads signed battery power in W from a config, or from one `batteries:` entry. A signed
+ * power_entity wins; otherwise the unsigned pair is combined as charge minus discharge.
+ * invert_power only applies to the signed entity, since the pair's direction is in its names.
+ * One side of the pair being unavailable reads as 0 — integrations commonly blank the idle
+ * direction — but both being unavailable is no reading at all. Without either, power is
+ * voltage × current, with current positive while charging unless invert_current is set;
+ * that needs both readings.
+ * @param {Object} hass - Home Assistant instance
+ * @param {Object} source - Card configuration or pack entry
+ * @returns {number|null} Watts (+ charging, - discharging), or null if unavailable
+ */
+function readBatteryPower(hass, source) {
+  if (source.power_entity) {
+    const powerValue = getEntityValue(hass, source.power_entity);
+    if (!powerValue.available || powerValue.value === null) return null;
+    const power = normalizeUnit(powerValue.value, powerValue.unit, 'W');
+    if (power === null) return null;
+    return source.invert_power ? -power : power;
+  }
+  if (usesVoltageCurrent(source)) {
+    const voltage = getEntityValue(hass, source.voltage_entity);
+    const current = getEntityValue(hass, source.current_entity);
+    if (!voltage.available || !current.available) return null;
+    const volts = normalizeElectricalUnit(voltage.value, voltage.unit, 'V');
+    const amps = normalizeElectricalUnit(current.value, current.unit, 'A');
+    if (volts === null || amps === null) return null;
+    const power = volts * amps;
+    return source.invert_current ? -power : power;
+  }
+  const side = (reading) => (reading.available ? normalizeUnit(reading.value, reading.unit, 'W') : null);
+  const chargeW = side(getEntityValue(hass, source.charge_power_entity));
+  const dischargeW = side(getEntityValue(hass, source.discharge_power_entity));
+  if (chargeW === null && dischargeW === null) return null;
+  return Math.abs(chargeW ?? 0) - Math.abs(dischargeW ?? 0);
+}
+
+/**
+ * Applies the trickle charge filter: with enable_trickle_charge_filter on, power under
+ * trickle_charge_threshold either way reads as 0, so the card treats the battery as idle
+ * @param {number} watts - Signed power in W
+ * @param {Object} config - Card configuration
+ * @returns {number}
+ */
+function filterTrickle(watts, config) {
+  return config.enable_trickle_charge_filter && Math.abs(watts) < (config.trickle_charge_threshold ?? 25) ? 0 : watts;
+}
+
+/**
+ * Signed power history for a config or pack, in W, from a history/history_during_period
+ * response. Scaled by each entity's current unit, since the minimal response carries no
+ * attributes; the unsigned pair and voltage × current are combined the same way
+ * readBatteryPower combines them.
+ * @param {Object} hass - Home Assistant instance
+ * @param {Object} result - History response keyed by entity id
+ * @param {Object} source - Card configuration or pack entry
+ * @param {boolean} invert - Whether to invert a signed power_entity, or the current
+ * @returns {Array<[number, number]>}
+ */
+function powerHistorySeries(hass, result, source, invert) {
+  const unitOf = (entityId) => hass.states[entityId]?.attributes?.unit_of_measurement;
+  const series = (entityId, sign) => {
+    const scale = normalizeUnit(1, unitOf(entityId), 'W');
+    return scale === null ? [] : parseHistorySeries(result[entityId], scale * sign);
+  };
+  if (source.power_entity) return series(source.power_entity, invert ? -1 : 1);
+  if (usesVoltageCurrent(source)) {
+    const volts = normalizeElectricalUnit(1, unitOf(source.voltage_entity), 'V');
+    const amps = normalizeElectricalUnit(1, unitOf(source.current_entity), 'A');
+    if (volts === null || amps === null) return [];
+    const voltage = parseHistorySeries(result[source.voltage_entity], volts);
+    const current = parseHistorySeries(result[source.current_entity], amps * (invert ? -1 : 1));
+    if (!voltage.length || !current.length) return [];
+    return combineSeries([voltage, current], ([v, i]) => v * i);
+  }
+  const sides = [[source.charge_power_entity, 1], [source.discharge_power_entity, -1]]
+    .filter(([entityId]) => entityId)
+    .map(([entityId, sign]) => series(entityId, 1).map(([t, v]) => [t, sign * Math.abs(v)]))
+    .filter(side => side.length);
+  if (sides.length < 2) return sides[0] ?? [];
+  return combineSeries(sides, ([charge, discharge]) => charge + discharge);
+}
+
+/**
+ * Whether a config or pack has a power source that exists in HA
+ * @param {Object} hass - Home Assistant instance
+ * @param {Object} source - Card configuration or pack entry
+ * @returns {boolean}
+ */
+function powerSourceExists(hass, source) {
+  if (usesVoltageCurrent(source)) {
+    return entityExists(hass, source.voltage_entity) && entityExists(hass, source.current_entity);
+  }
+  return powerEntityIds(source).some(entityId => entityExists(hass, entityId));
+}
+
+/**
+ * Reads a config's or pack's capacity in Wh, from a fixed capacity (kWh) or capacity_entity
+ * @param {Object} hass - Home Assistant instance
+ * @param {Object} source - Card configuration or pack entry
+ * @returns {number|null}
+ */
+function readCapacityWh(hass, source) {
+  const capacityData = getEntityOrFixedValue(hass, source, 'capacity_entity', 'capacity', 'kWh');
+  if (!capacityData.available || capacityData.value === null) return null;
+  return capacityData.isFixed
+    ? capacityData.value * 1000
+    : normalizeEnergy(capacityData.value, capacityData.unit, source.nominal_voltage);
+}
+
+/**
+ * The entity a config's or pack's SOC comes from: soc_entity, or else soc_energy_entity
+ * when SOC is derived from stored energy
+ * @param {Object} source - Card configuration or pack entry
+ * @returns {string|undefined}
+ */
+function socEntityId(source) {
+  return source.soc_entity || source.soc_energy_entity;
+}
+
+/**
+ * Reads SOC in % for a config or pack: soc_entity, or else soc_energy_entity as a share of
+ * the capacity. The derived figure is clamped to 0–100, since a capacity entity may report
+ * the usable capacity while the energy sensor counts the nominal one, or the other way round.
+ * @param {Object} hass - Home Assistant instance
+ * @param {Object} source - Card configuration or pack entry
+ * @returns {{percent: number|null, derived: boolean}}
+ */
+function readSoc(hass, source) {
+  if (source.soc_entity) {
+    const soc = getEntityValue(hass, source.soc_entity);
+    return { percent: soc.available ? soc.value : null, derived: false };
+  }
+  const energy = getEntityValue(hass, source.soc_energy_entity);
+  const capacityWh = readCapacityWh(hass, source);
+  const energyWh = energy.available ? normalizeEnergy(energy.value, energy.unit, source.nominal_voltage) : null;
+  if (energyWh === null || !capacityWh) return { percent: null, derived: true };
+  const percent = (energyWh / capacityWh) * 100;
+  return { percent: Math.min(100, Math.max(0, percent)), derived: true };
+}
+
+/**
+ * Whether a config or pack has a SOC source that exists in HA: soc_entity, or
+ * soc_energy_entity with a fixed capacity or an existing capacity_entity
+ * @param {Object} hass - Home Assistant instance
+ * @param {Object} source - Card configuration or pack entry
+ * @returns {boolean}
+ */
+function socSourceExists(hass, source) {
+  if (source.soc_entity) return entityExists(hass, source.soc_entity);
+  const hasCapacity = (source.capacity !== undefined && source.capacity !== null && source.capacity !== '') ||
+    entityExists(hass, source.capacity_entity);
+  return entityExists(hass, source.soc_energy_entity) && hasCapacity;
+}
+
+/**
+ * SOC history for a config or pack, in %, from a history/history_during_period response.
+ * Derived SOC is scaled by today's capacity, which is as close as the recorder lets it get.
+ * @param {Object} hass - Home Assistant instance
+ * @param {Object} result - History response keyed by entity id
+ * @param {Object} source - Card configuration or pack entry
+ * @returns {Array<[number, number]>}
+ */
+function socHistorySeries(hass, result, source) {
+  if (source.soc_entity) return parseHistorySeries(result[source.soc_entity]);
+  const capacityWh = readCapacityWh(hass, source);
+  if (!capacityWh) return [];
+  const unit = hass.states[source.soc_energy_entity]?.attributes?.unit_of_measurement;
+  const scale = normalizeEnergy(1, unit, source.nominal_voltage);
+  if (scale === null) return [];
+  return parseHistorySeries(result[source.soc_energy_entity], (scale / capacityWh) * 100);
+}
+
+/**
+ * Reads one entry of the `batteries:` list. Packs inherit invert_power and invert_current
+ * from the card unless they set their own, since packs behind the same kind of inverter
+ * usually share the sign.
+ * @param {Object} hass - Home Assistant instance
+ * @param {Object} pack - Pack entry (name, soc_entity or soc_energy_entity, power_entity or
+ *   the charge/discharge pair or voltage/current, capacity, capacity_entity)
+ * @param {Object} config - Card configuration
+ * @param {number} index - Position in the list, for the fallback name
+ * @returns {{name: string, socEntity: string, powerEntity: string, socPercent: number|null,
+ *   socDerived: boolean, power: number|null, capacityWh: number|null, available: boolean}}
+ */
+function readPack(hass, pack, config, index) {
+  pack = { ...pack, nominal_voltage: pack.nominal_voltage ?? config.nominal_voltage };
+  const soc = readSoc(hass, pack);
+  const power = readBatteryPower(hass, {
+    ...pack,
+    invert_power: pack.invert_power ?? config.invert_power,
+    invert_current: pack.invert_current ?? config.invert_current,
+  });
+  return {
+    name: pack.name || localize(hass, 'pack.name', { n: index + 1 }),
+    socEntity: socEntityId(pack),
+    powerEntity: powerEntityIds(pack)[0],
+    socPercent: soc.percent,
+    socDerived: soc.derived,
+    power,
+    capacityWh: readCapacityWh(hass, pack),
+    available: soc.percent !== null && power !== null,
+  };
+}
+
+/**
+ * Parses one entity's compressed history (history/history_during_period with
+ * minimal_response) into [timestamp ms, value] points, dropping non-numeric states
+ * @param {Array<{s: string, lu: number}>|undefined} states - Compressed states, oldest first
+ * @param {number} [scale=1] - Multiplier applied to every value (unit scaling, inversion)
+ * @returns {Array<[number, number]>}
+ */
+function parseHistorySeries(states, scale = 1) {
+  return (states || [])
+    .map(st => [st.lu * 1000, parseFloat(st.s) * scale])
+    .filter(([, v]) => Number.isFinite(v));
+}
+
+/**
+ * Merges step-wise series into one, sampling every input at each time any of them changed.
+ * Times before every input has a value are skipped, so a pack whose history starts late
+ * doesn't drag the combined line to a partial total.
+ * @param {Array<Array<[number, number]>>} seriesList - Series sorted by time
+ * @param {function(number[]): number} combine - Reduces the inputs' values at one instant
+ * @returns {Array<[number, number]>}
+ */
+function combineSeries(seriesList, combine) {
+  const times = [...new Set(seriesList.flatMap(series => series.map(([t]) => t)))].sort((a, b) => a - b);
+  const cursors = seriesList.map(() => -1);
+  const combined = [];
+  for (const t of times) {
+    seriesList.forEach((series, i) => {
+      while (cursors[i] + 1 < series.length && series[cursors[i] + 1][0] <= t) cursors[i]++;
+    });
+    if (cursors.some(c => c < 0)) continue;
+    combined.push([t, combine(cursors.map((c, i) => seriesList[i][c][1]))]);
+  }
+  return combined;
+}
+
+/**
+ * Appends a sample to a step-wise series unless the value is unchanged, and drops points that
+ * fell out of the window — except the last one before it, which still sets the level at the
+ * window's left edge. Returns the same array when nothing changed.
+ * @param {Array<[number, number]>} series - Series sorted by time
+ * @param {number} t - Sample time (ms)
+ * @param {number} value - Sample value
+ * @param {number} windowStart - Oldest time still drawn (ms)
+ * @returns {Array<[number, number]>}
+ */
+function appendSample(series, t, value, windowStart) {
+  const last = series[series.length - 1];
+  return trimSeries(last && last[1] === value ? series : [...series, [t, value]], windowStart);
+}
+
+/**
+ * Drops the points of a step-wise series that ended before windowStart, keeping the one that
+ * still sets the level there. Returns the same array when nothing was dropped.
+ * @param {Array<[number, number]>} series - Series sorted by time
+ * @param {number} windowStart - Oldest time of interest (ms)
+ * @returns {Array<[number, number]>}
+ */
+function trimSeries(series, windowStart) {
+  let first = 0;
+  while (first + 1 < series.length && series[first + 1][0] <= windowStart) first++;
+  return first ? series.slice(first) : series;
+}
+
+/**
+ * Time-weighted mean of a step-wise series over [windowStart, now]. Each value counts for as
+ * long as it held, so a kettle on for two minutes moves a 15-minute average by two minutes'
+ * worth rather than by one sample's worth.
+ * @param {Array<[number, number]>} series - Series sorted by time
+ * @param {number} windowStart - Start of the averaging window (ms)
+ * @param {number} now - End of the window (ms)
+ * @returns {number|null} Mean value, or null when the series covers no time in the window
+ */
+function averageSeries(series, windowStart, now) {
+  let total = 0;
+  let covered = 0;
+  series.forEach(([t, value], i) => {
+    const from = Math.max(t, windowStart);
+    const to = i + 1 < series.length ? Math.min(series[i + 1][0], now) : now;
+    if (to > from) {
+      total += value * (to - from);
+      covered += to - from;
+    }
+  });
+  return covered > 0 ? total / covered : null;
+}
+
+/**
+ * Integrates a step-wise power series over [from, to], keeping the two directions apart
+ * @param {Array<[number, number]>} series - Power in W, sorted by time (ms)
+ * @param {number} from - Start of the period (ms)
+ * @param {number} to - End of the period (ms)
+ * @returns {{chargedWh: number, dischargedWh: number}} Energy in and out, both positive
+ */
+function integratePower(series, from, to) {
+  let chargedWh = 0;
+  let dischargedWh = 0;
+  series.forEach(([t, watts], i) => {
+    const start = Math.max(t, from);
+    const end = i + 1 < series.length ? Math.min(series[i + 1][0], to) : to;
+    if (end <= start) return;
+    const wh = watts * (end - start) / 3600000;
+    if (wh > 0) chargedWh += wh;
+    else dischargedWh -= wh;
+  });
+  return { chargedWh, dischargedWh };
+}
+
+// SI prefixes the unit conversions understand
+const SI_PREFIXES = { m: 1e-3, '': 1, k: 1e3, M: 1e6, G: 1e9 };
+
+/**
+ * Converts a power or energy value to W or Wh from any SI-prefixed unit: mW to GW, mWh to
+ * GWh. The prefix is case-sensitive where case is the difference (mW is a milliwatt, MW a
+ * megawatt) and forgiving elsewhere (KW, kwh). A value without a unit is taken as W or Wh.
+ * A unit of some other quantity, such as % on a power entity, is refused rather than read as
+ * watts: the caller treats the value as unavailable, and the card names the entity.
+ * @param {number} value - The value to normalize
+ * @param {string} unit - The unit (mW, W, kW, MW, GW, and the same in Wh)
+ * @param {'W'|'Wh'} [quantity] - The quantity expected; either when omitted
+ * @returns {number|null} Value in W or Wh, or null for an unusable unit
+ */
+function normalizeUnit(value, unit, quantity) {
+  const text = (unit || '').trim();
+  if (!text) return value;
+  const match = /^([a-z]?)(wh?)$/i.exec(text);
+  if (!match) return null;
+  if (quantity && match[2].toLowerCase() !== quantity.toLowerCase()) return null;
+  const factor = SI_PREFIXES[match[1]] ?? SI_PREFIXES[match[1].toLowerCase()];
+  return factor === undefined ? null : value * factor;
+}
+
+/**
+ * Converts a stored energy or capacity to Wh. Besides the units normalizeUnit takes, charge in
+ * Ah (or mAh, kAh) is converted at the battery's nominal_voltage, as 12/24/48 V systems and
+ * their BMS integrations commonly report capacity that way; without a voltage it can't be.
+ * @param {number} value - The value to normalize
+ * @param {string} unit - The unit (Wh with any prefix, or Ah, mAh, kAh)
+ * @param {number} [nominalVoltage] - Nominal battery voltage in V
+ * @returns {number|null} Value in Wh, or null for an unusable unit
+ */
+function normalizeEnergy(value, unit, nominalVoltage) {
+  const charge = /^([mk]?)Ah$/i.exec((unit || '').trim());
+  if (charge) return nominalVoltage > 0 ? value * SI_PREFIXES[charge[1].toLowerCase()] * nominalVoltage : null;
+  return normalizeUnit(value, unit, 'Wh');
+}
+
+/**
+ * Converts a voltage or current to V or A, from the milli- and kilo- units BMS and shunt
+ * integrations report alongside the plain ones (mV, kV, mA, kA). A value without a unit is
+ * taken as V or A; a unit of another quantity is refused, as in normalizeUnit.
  * @param {number} value - The value to normalize
- * @param {string} unit - The unit (kW, kWh, W, Wh)
- * @returns {number} Value in base units (W or Wh)
+ * @param {string} unit - The unit (mV, V, kV, mA, A, kA)
+ * @param {'V'|'A'} [quantity] - The quantity expected; either when omitted
+ * @returns {number|null} Value in V or A, or null for an unusable unit
+ */
+function normalizeElectricalUnit(value, unit, quantity) {
+  const text = (unit || '').trim();
+  if (!text) return value;
+  const match = /^([mk]?)([VA])$/.exec(text);
+  if (!match || (quantity && match[2] !== quantity)) return null;
+  return value * SI_PREFIXES[match[1]];
+}
+
+// Entity options by the quantity their readings have to be in. charge_energy_entity and
+// discharge_energy_entity are read from statistics, which only convert between energy units,
+// so they can't be in Ah the way the stored energy and capacity can.
+const UNIT_QUANTITIES = {
+  W: [
+    'power_entity', 'charge_power_entity', 'discharge_power_entity', 'charge_rate_entity',
+    'discharge_rate_entity', 'house_load_entity', 'solar_power_entity', 'grid_power_entity',
+  ],
+  Wh: ['soc_energy_entity', 'capacity_entity', 'charge_energy_entity', 'discharge_energy_entity'],
+  V: ['voltage_entity', 'cell_voltage_entities'],
+  A: ['current_entity'],
+};
+
+/**
+ * Finds configured entities whose unit can't be used for what they're configured as: a
+ * power_entity in %, say, or a capacity in Ah with no nominal_voltage. Their readings are
+ * ignored, so the card lists them instead of showing numbers that are silently wrong.
+ * Packs are checked with the nominal_voltage they inherit.
+ * @param {Object} hass - Home Assistant instance
+ * @param {Object} config - Card configuration
+ * @returns {Array<{entityId: string, unit: string, quantity: string}>} quantity is W, Wh, V,
+ *   A, or Ah for a charge unit that needs nominal_voltage
+ */
+function unitWarnings(hass, config) {
+  const packs = hasBatteryList(config)
+    ? config.batteries.map(pack => ({ ...pack, nominal_voltage: pack.nominal_voltage ?? config.nominal_voltage }))
+    : [];
+  const warnings = [];
+  for (const source of [config, ...packs]) {
+    for (const [quantity, keys] of Object.entries(UNIT_QUANTITIES)) {
+      for (const key of keys) {
+        const entityIds = key === 'cell_voltage_entities' ? cellEntityIds(hass, source[key]) : [source[key]];
+        for (const entityId of entityIds) {
+          const unit = entityId ? hass.states[entityId]?.attributes?.unit_of_measurement : undefined;
+          if (!unit || warnings.some(w => w.entityId === entityId)) continue;
+          const usable = quantity === 'V' || quantity === 'A' ? normalizeElectricalUnit(1, unit, quantity) !== null
+            : quantity === 'W' || key.endsWith('charge_energy_entity') ? normalizeUnit(1, unit, quantity) !== null
+            : normalizeEnergy(1, unit, source.nominal_voltage) !== null;
+          if (usable) continue;
+          const needsVoltage = quantity === 'Wh' && /^[mk]?Ah$/i.test(unit.trim()) && !key.endsWith('charge_energy_entity');
+          warnings.push({ entityId, unit, quantity: needsVoltage ? 'Ah' : quantity });
+        }
+      }
+    }
+  }
+  return warnings;
+}
+
+// Entity domains a draggable reserve / cutoff marker can write to, through <domain>.set_value
+const MARKER_DOMAINS = ['number', 'input_number'];
+
+// Entity domains the mode dropdown can switch, through <domain>.select_option
+const MODE_SELECT_DOMAINS = ['select', 'input_select'];
+
+/**
+ * Snaps a dragged marker to a value its number entity accepts: a whole number of steps from
+ * the entity's min, within its min and max. Rounded to the step's decimals, so a 0.1 step
+ * doesn't send 15.000000000000002.
+ * @param {number} value - Position on the ring, 0-100
+ * @param {Object} attributes - The entity's attributes (min, max, step)
+ * @returns {number}
  */
-function normalizeUnit(value, unit) {
-  const lowerUnit = (unit || '').toLowerCase();
-  if (lowerUnit === 'kwh' || lowerUnit === 'kw') return value * 1000;
-  return value;
+function snapToStep(value, attributes) {
+  const min = Number(attributes?.min ?? 0);
+  const max = Number(attributes?.max ?? 100);
+  const step = Number(attributes?.step) || 1;
+  const snapped = Math.round((value - min) / step) * step + min;
+  const decimals = (String(step).split('.')[1] ?? '').length;
+  return Number(Math.min(max, Math.max(min, snapped)).toFixed(decimals));
 }
 
 /**
@@ -189,6 +699,40 @@ function formatEnergy(wh, decimals = 3) {
   return { value: wh.toFixed(0), unit: 'Wh' };
 }
 
+/**
+ * Converts an energy price to currency units per kWh from the unit a tariff sensor reports it
+ * in: per MWh and per Wh are rescaled, and a price in cents, pence or öre (ct/kWh, c/kWh, p/kWh)
+ * is divided by 100. A unit with no per-energy part is taken as already per kWh.
+ * @param {number} value - The price
+ * @param {string} unit - The unit, e.g. GBP/kWh, EUR/MWh, ct/kWh
+ * @returns {number} Price per kWh in the currency's main unit
+ */
+function normalizePricePerKwh(value, unit) {
+  const match = /^\s*([^/]*?)\s*\/\s*([kM]?)Wh\s*$/.exec(unit || '');
+  if (!match) return value;
+  const [, money, prefix] = match;
+  let price = prefix === 'M' ? value / 1000 : prefix === '' ? value * 1000 : value;
+  if (/^(ct|c|p|cents?|pence|öre|øre)$/i.test(money)) price /= 100;
+  return price;
+}
+
+/**
+ * The prices per kWh behind the Stored and Cost to full figures. Stored energy is valued at
+ * stored_energy_price (what it cost to put in) when set, otherwise at the current price_entity;
+ * filling up costs the current price, or stored_energy_price where there is no price_entity.
+ * @param {Object} hass - Home Assistant instance
+ * @param {Object} config - Card configuration
+ * @returns {{stored: number|null, fill: number|null}}
+ */
+function readEnergyPrices(hass, config) {
+  const current = getEntityValue(hass, config.price_entity);
+  const currentPrice = current.available && current.value !== null
+    ? normalizePricePerKwh(current.value, current.unit)
+    : null;
+  const fixedPrice = typeof config.stored_energy_price === 'number' ? config.stored_energy_price : null;
+  return { stored: fixedPrice ?? currentPrice, fill: currentPrice ?? fixedPrice };
+}
+
 /**
  * Formats power value with appropriate unit (W or kW)
  * @param {number} watts - Power in watts
@@ -304,22 +848,35 @@ function formatTimeOfArrival(minutes, config = {}, locale = null) {
     datePart = formatAutoDate(arrival, locale);
   }
 
-  // Time part
-  const hour12 = resolveHour12(timeFormat, locale);
-  let timePart;
-  if (hour12) {
-    let h = arrival.getHours();
+  return `${datePart} ${formatClockTime(arrival, timeFormat, locale)}`;
+}
+
+/**
+ * Formats the time of day of a date, 12- or 24-hour per time_format
+ * @param {Date} date
+ * @param {string} [timeFormat='auto'] - card option: 'auto' | '24' | '12'
+ * @param {object|null} [locale] - hass.locale for 'auto' resolution
+ * @returns {string} e.g. '14:05' or '02:05 PM'
+ */
+function formatClockTime(date, timeFormat = 'auto', locale = null) {
+  const mins = date.getMinutes().toString().padStart(2, '0');
+  if (resolveHour12(timeFormat, locale)) {
+    const h = date.getHours();
     const ampm = h >= 12 ? 'PM' : 'AM';
-    h = h % 12 || 12;
-    const mins = arrival.getMinutes().toString().padStart(2, '0');
-    timePart = `${h.toString().padStart(2, '0')}:${mins} ${ampm}`;
-  } else {
-    const hours = arrival.getHours().toString().padStart(2, '0');
-    const mins = arrival.getMinutes().toString().padStart(2, '0');
-    timePart = `${hours}:${mins}`;
+    return `${(h % 12 || 12).toString().padStart(2, '0')}:${mins} ${ampm}`;
   }
+  return `${date.getHours().toString().padStart(2, '0')}:${mins}`;
+}
 
-  return `${datePart} ${timePart}`;
+/**
+ * Formats minutes as a short countdown, e.g. '3h 20m' or '45m'
+ * @param {number} minutes - Duration in minutes
+ * @returns {string}
+ */
+function formatShortDuration(minutes) {
+  const total = Math.max(0, Math.round(minutes));
+  const hours = Math.floor(total / 60);
+  return hours ? `${hours}h ${total % 60}m` : `${total}m`;
 }
 
 /**
@@ -337,6 +894,361 @@ function calculateTimeToTarget(currentEnergy, targetEnergy, powerWatts) {
   return hours * 60;
 }
 
+// Colour of the surplus-PV share of the charge arc, where the grid's share keeps the charge colour
+const SOLAR_CHARGE_COLOUR = 'rgb(255, 193, 7)';
+
+/**
+ * Splits the charge power between surplus PV and grid import. With grid_power_entity (positive
+ * while importing, unless invert_grid_power) the import, up to the charge power, is the grid's
+ * share, and power balance leaves the rest to PV whatever the house is drawing. With only
+ * solar_power_entity, the PV left after the house load (house_load_entity or house_load, else
+ * none) is the solar share and the grid makes up the difference.
+ * @param {Object} hass - Home Assistant instance
+ * @param {Object} config - Card configuration
+ * @param {number} chargeW - Charge power in W
+ * @returns {{solarW: number, gridW: number, solarPercent: number}|null} null unless charging
+ *   with one of the two entities readable
+ */
+function splitChargeSources(hass, config, chargeW) {
+  if (!(chargeW > 0)) return null;
+  let gridW;
+  const watts = (reading) => (reading.available && reading.value !== null ? normalizeUnit(reading.value, reading.unit, 'W') : null);
+  const importW = watts(getEntityValue(hass, config.grid_power_entity));
+  if (importW !== null) {
+    gridW = Math.min(chargeW, Math.max(0, importW * (config.invert_grid_power ? -1 : 1)));
+  } else {
+    const solarW = watts(getEntityValue(hass, config.solar_power_entity));
+    if (solarW === null) return null;
+    const loadW = Math.max(0, watts(getEntityOrFixedValue(hass, config, 'house_load_entity', 'house_load', 'W')) ?? 0);
+    gridW = chargeW - Math.min(chargeW, Math.max(0, solarW - loadW));
+  }
+  return { solarW: chargeW - gridW, gridW, solarPercent: ((chargeW - gridW) / chargeW) * 100 };
+}
+
+/**
+ * Reads a PV forecast from a forecast sensor's attributes into power segments. Understands
+ * Solcast's detailedHourly / detailedForecast lists (pv_estimate in kW, averaged over the
+ * period) and the Forecast.Solar-style maps keyed by time: wh_period / wh_hours (Wh in the
+ * period) and watts (W at that time). A segment runs to the next entry, but no further than
+ * the forecast's own spacing, so gaps such as a night left out of the map count as no PV.
+ * @param {Object|undefined} entity - Forecast entity state object
+ * @returns {Array<{start: number, end: number, watts: number}>} Segments sorted by time (ms)
+ */
+function parseSolarForecast(entity) {
+  const attrs = entity?.attributes ?? {};
+  let points = [];
+  let energyPerPeriod = false;
+  const list = attrs.detailedHourly ?? attrs.detailedForecast;
+  if (Array.isArray(list)) {
+    points = list.map(item => [Date.parse(item?.period_start), Number(item?.pv_estimate) * 1000]);
+  } else if (attrs.wh_period || attrs.wh_hours) {
+    points = Object.entries(attrs.wh_period ?? attrs.wh_hours).map(([t, wh]) => [Date.parse(t), Number(wh)]);
+    energyPerPeriod = true;
+  } else if (attrs.watts) {
+    points = Object.entries(attrs.watts).map(([t, watts]) => [Date.parse(t), Number(watts)]);
+  }
+  points = points.filter(([t, v]) => Number.isFinite(t) && Number.isFinite(v)).sort((a, b) => a[0] - b[0]);
+  const spacing = points.length > 1 ? points[1][0] - points[0][0] : 3600000;
+  return points.map(([start, value], i) => {
+    const end = Math.min(i + 1 < points.length ? points[i + 1][0] : Infinity, start + spacing);
+    return { start, end, watts: energyPerPeriod ? value / ((end - start) / 3600000) : value };
+  });
+}
+
+/**
+ * Simulates the battery through the rest of the day against a PV forecast: in each forecast
+ * segment PV beyond the house load charges it, at no more than the max charge rate, and a
+ * load beyond PV drains it, down to the reserve. Stops at the target.
+ * @param {Array<{start: number, end: number, watts: number}>} forecast - From parseSolarForecast
+ * @param {Object} battery
+ * @param {number} battery.energyWh - Energy now
+ * @param {number} battery.targetWh - Energy to reach (cutoff or full)
+ * @param {number} battery.floorWh - Energy the battery won't drain below (reserve)
+ * @param {number} battery.capacityWh - Total capacity
+ * @param {number} battery.loadW - House load estimate
+ * @param {number} battery.maxChargeW - Charge rate cap (Infinity when unknown)
+ * @param {number} battery.maxDischargeW - Discharge rate cap (Infinity when unknown)
+ * @param {number} now - Simulation start (ms)
+ * @param {number} until - Simulation end (ms), normally midnight
+ * @returns {{minutes: number|null, maxPercent: number}} Minutes to the target, or null when it
+ *   isn't reached, and the highest SOC reached on the way
+ */
+function simulateSolarCharge(forecast, battery, now, until) {
+  const { energyWh, targetWh, floorWh, capacityWh, loadW, maxChargeW, maxDischargeW } = battery;
+  // Already there (charging at or above the cutoff): nothing left to simulate
+  if (energyWh >= targetWh) return { minutes: 0, maxPercent: (energyWh / capacityWh) * 100 };
+  const edges = [...new Set([now, until, ...forecast.flatMap(seg => [seg.start, seg.end])])]
+    .filter(t => t >= now && t <= until)
+    .sort((a, b) => a - b);
+  let energy = energyWh;
+  let peak = energyWh;
+  for (let i = 0; i + 1 < edges.length; i++) {
+    const from = edges[i];
+    const hours = (edges[i + 1] - from) / 3600000;
+    const pv = forecast.find(seg => seg.start <= from && from < seg.end)?.watts ?? 0;
+    const net = Math.max(-maxDischargeW, Math.min(maxChargeW, pv - loadW));
+    if (net > 0 && energy + net * hours >= targetWh) {
+      const reachedAt = from + ((targetWh - energy) / net) * 3600000;
+      return { minutes: (reachedAt - now) / 60000, maxPercent: (targetWh / capacityWh) * 100 };
+    }
+    energy = Math.max(Math.min(floorWh, energy), Math.min(capacityWh, energy + net * hours));
+    peak = Math.max(peak, energy);
+  }
+  return { minutes: null, maxPercent: (peak / capacityWh) * 100 };
+}
+
+// The stats panel's original three entities, as they map onto `stats:` entries. Their
+// labels are translated; temperature falls back to °C without a unit, and health always
+// shows %. actionId keeps their entries under `actions:` working, and field is the card
+// reading `conditions:` test them as, which a `stats:` entry takes on with `field:`.
+const LEGACY_STATS = [
+  { key: 'temp_entity', field: 'temp', actionId: 'temp_stat', labelKey: 'stats.temp', defaultUnit: '°C' },
+  { key: 'cycles_entity', field: 'cycles', actionId: 'cycles_stat', labelKey: 'stats.cycles' },
+  { key: 'health_entity', field: 'health', actionId: 'health_stat', labelKey: 'stats.health', unit: '%' },
+];
+
+/**
+ * The stats panel's entries: `stats:` when configured, otherwise the legacy temp / cycles /
+ * health entities. Each gets the data-action id its gestures are looked up under.
+ * @param {Object} config - Card configuration
+ * @returns {Array<{entity: string, label?: string, labelKey?: string, icon?: string, unit?: string,
+ *   defaultUnit?: string, precision?: number, field?: string, actionId: string}>}
+ */
+function statItems(config) {
+  if (Array.isArray(config.stats)) {
+    return config.stats.map((item, i) => ({ ...item, actionId: `stat:${i}` }));
+  }
+  return LEGACY_STATS.filter(legacy => config[legacy.key]).map(legacy => ({
+    entity: config[legacy.key],
+    labelKey: legacy.labelKey,
+    unit: legacy.unit,
+    defaultUnit: legacy.defaultUnit,
+    field: legacy.field,
+    actionId: legacy.actionId,
+  }));
+}
+
+/**
+ * Formats a stat's value with its unit: numbers to the entry's precision (or trimmed to the
+ * card's decimal places without one), anything else as the state reads. Degrees and percent
+ * sit against the number; other units get a space.
+ * @param {string} state - Entity state
+ * @param {string} unit - Unit to show, may be empty
+ * @param {number|undefined} precision - Fixed decimal places
+ * @param {number} decimals - The card's decimal_places
+ * @returns {string}
+ */
+function formatStatValue(state, unit, precision, decimals) {
+  const n = parseFloat(state);
+  let value = state;
+  if (!isNaN(n)) value = precision !== undefined ? n.toFixed(precision) : String(Number(n.toFixed(decimals)));
+  if (!unit) return value;
+  return unit === '%' || unit.startsWith('°') ? `${value}${unit}` : `${value} ${unit}`;
+}
+
+/**
+ * Resolves cell_voltage_entities / cell_temp_entities to entity ids. A list is used as given;
+ * a string is a pattern in which `*` matches anything, expanded against the current states
+ * and ordered by the numbers in the ids, so cell_10 comes after cell_9 rather than cell_1.
+ * @param {Object} hass - Home Assistant instance
+ * @param {string|string[]|undefined} spec - List of entity ids, or a pattern
+ * @returns {string[]}
+ */
+function cellEntityIds(hass, spec) {
+  if (Array.isArray(spec)) return spec.filter(Boolean);
+  if (typeof spec !== 'string' || !spec) return [];
+  const escaped = spec.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'));
+  const pattern = new RegExp(`^${escaped.join('.*')}$`);
+  return Object.keys(hass.states)
+    .filter(id => pattern.test(id))
+    .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+}
+
+/**
+ * Reads the cell voltages (and cell temperatures, if configured) for the cells strip.
+ * Voltages are in V, converted from mV or kV. A cell that isn't available, or isn't in a
+ * voltage unit, keeps its place as a gap, so the bars stay numbered as the BMS numbers them.
+ * @param {Object} hass - Home Assistant instance
+ * @param {Object} config - Card configuration
+ * @returns {{cells: Array<{entityId: string, volts: number|null}>, min: number, max: number,
+ *   minIndex: number, maxIndex: number, deltaMv: number, temps: Array<{entityId: string, value: number, unit: string}>,
+ *   tempUnit: string}|null} Null when no cell voltage is available
+ */
+function readCells(hass, config) {
+  const cells = cellEntityIds(hass, config.cell_voltage_entities).map(entityId => {
+    const reading = getEntityValue(hass, entityId);
+    return { entityId, volts: reading.available ? normalizeElectricalUnit(reading.value, reading.unit, 'V') : null };
+  });
+  const volts = cells.map(cell => cell.volts).filter(v => v !== null);
+  if (!volts.length) return null;
+  const min = Math.min(...volts);
+  const max = Math.max(...volts);
+  const temps = cellEntityIds(hass, config.cell_temp_entities)
+    .map(entityId => ({ entityId, reading: getEntityValue(hass, entityId) }))
+    .filter(({ reading }) => reading.available)
+    .map(({ entityId, reading }) => ({ entityId, value: reading.value, unit: reading.unit }));
+  return {
+    cells,
+    min,
+    max,
+    minIndex: cells.findIndex(cell => cell.volts === min),
+    maxIndex: cells.findIndex(cell => cell.volts === max),
+    deltaMv: Math.round((max - min) * 1000),
+    temps,
+    tempUnit: temps[0]?.unit || '°C',
+  };
+}
+
+// Card readings a `conditions:` rule can test with `field:`, and the comparisons it can make
+const CONDITION_FIELDS = ['soc', 'power', 'power_percent', 'reserve', 'cutoff', 'temp', 'health', 'cycles', 'cell_delta', 'status'];
+const CONDITION_OPERATORS = ['above', 'below', 'at_or_above', 'at_or_below', 'equals'];
+const CONDITION_COLOUR = 'var(--error-color, rgb(219, 68, 55))'; // a rule's colour unless it sets one
+
+/**
+ * The card readings conditions test against, by CONDITION_FIELDS name. Power is signed
+ * (+ charging, − discharging); a reading that isn't available is null.
+ * @param {Object} stats - Result of _calculateStats
+ * @returns {Object<string, number|string|null>}
+ */
+function conditionFields(stats) {
+  return {
+    soc: stats.socPercent,
+    power: stats.power,
+    power_percent: stats.powerPercent,
+    reserve: stats.reservePercent,
+    cutoff: stats.cutoffPercent,
+    temp: stats.temp,
+    health: stats.health,
+    cycles: stats.cycles,
+    cell_delta: stats.cells?.deltaMv ?? null,
+    status: stats.status,
+  };
+}
+
+/**
+ * Tests one rule: its value (a card field, or an entity's state or attribute) against every
+ * comparison it sets. A comparison's operand is a number, or the name of a card field — so
+ * `at_or_below: reserve` follows the reserve as it changes. An unavailable value never matches.
+ * @param {Object} rule - A `conditions:` entry
+ * @param {Object} fields - Result of conditionFields
+ * @param {Object} hass - Home Assistant object
+ * @returns {boolean}
+ */
+function conditionMatches(rule, fields, hass) {
+  let value;
+  if (rule.entity) {
+    const entity = hass.states[rule.entity];
+    value = rule.attribute ? entity?.attributes?.[rule.attribute] : entity?.state;
+    if (value === undefined || value === 'unavailable' || value === 'unknown') return false;
+  } else {
+    value = fields[rule.field];
+  }
+  if (value === null || value === undefined) return false;
+  const operand = (x) => (typeof x === 'string' && CONDITION_FIELDS.includes(x) ? fields[x] : x);
+  return CONDITION_OPERATORS.filter(op => rule[op] !== undefined).every(op => {
+    const target = operand(rule[op]);
+    if (target === null || target === undefined) return false;
+    if (op === 'equals') return String(value) === String(target);
+    const a = Number(value);
+    const b = Number(target);
+    if (!Number.isFinite(a) || !Number.isFinite(b)) return false;
+    if (op === 'above') return a > b;
+    if (op === 'below') return a < b;
+    if (op === 'at_or_above') return a >= b;
+    return a <= b;
+  });
+}
+
+/**
+ * Collects the effects of every matching rule. Matches stack by priority, highest first
+ * (config order breaks ties): the pulse and border take the colour of the highest rule that
+ * sets them, and every matching rule's icon and badge is shown, highest first.
+ * @param {Array<Object>} rules - The `conditions:` list
+ * @param {Object} fields - Result of conditionFields
+ * @param {Object} hass - Home Assistant object
+ * @returns {{pulse: string|null, border: string|null, icons: Array<{icon: string, colour: string}>,
+ *   badges: Array<{text: string, colour: string}>}} Colours as CSS values
+ */
+function conditionEffects(rules, fields, hass) {
+  const effects = { pulse: null, border: null, icons: [], badges: [] };
+  const matched = (rules ?? [])
+    .map((rule, index) => ({ rule, index }))
+    .filter(({ rule }) => conditionMatches(rule, fields, hass))
+    .sort((a, b) => (b.rule.priority ?? 0) - (a.rule.priority ?? 0) || a.index - b.index);
+  for (const { rule } of matched) {
+    const colour = resolveColour(rule.colour, CONDITION_COLOUR);
+    if (rule.pulse) effects.pulse ??= colour;
+    if (rule.border) effects.border ??= colour;
+    if (rule.icon) effects.icons.push({ icon: rule.icon, colour });
+    if (rule.badge) effects.badges.push({ text: rule.badge, colour });
+  }
+  return effects;
+}
+
+const SCHEDULE_DOMAINS = ['schedule', 'calendar', 'time', 'input_datetime'];
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+/**
+ * Normalises schedule_entities: each entry may be a bare entity id or an object
+ * @param {Object} config - Card configuration
+ * @returns {Array<{entity: string, endEntity: string|undefined, name: string|undefined,
+ *   type: 'charge'|'discharge', colour: string|number[]|undefined}>}
+ */
+function scheduleItems(config) {
+  return (config.schedule_entities ?? []).map(item => (typeof item === 'string'
+    ? { entity: item, type: 'charge' }
+    : { entity: item.entity, endEntity: item.end_entity, name: item.name, type: item.type ?? 'charge', colour: item.colour }));
+}
+
+/**
+ * Parses a time of day ('HH:MM' or 'HH:MM:SS', '24:00:00' allowed) onto a given day
+ * @param {Date} day - Any time on the day
+ * @param {string} time - Time of day
+ * @returns {number|null} Timestamp (ms), or null if unparseable
+ */
+function timeOnDay(day, time) {
+  const match = /^(\d{1,2}):(\d{2})(?::(\d{2}))?/.exec(time ?? '');
+  if (!match) return null;
+  const at = new Date(day);
+  at.setHours(Number(match[1]), Number(match[2]), Number(match[3] ?? 0), 0);
+  return at.getTime();
+}
+
+/**
+ * Parses a dated input_datetime's state ('YYYY-MM-DD HH:MM:SS', or a bare date for one without a
+ * time) as local time, as Home Assistant stores it
+ * @param {Object|undefined} entityState - Entity state object
+ * @returns {number|null} Timestamp (ms), or null without a date or if unparseable
+ */
+function datedMoment(entityState) {
+  if (!entityState?.attributes?.has_date) return null;
+  const [date, time = '00:00:00'] = (entityState.state ?? '').split(' ');
+  const at = Date.parse(`${date}T${time}`);
+  return Number.isFinite(at) ? at : null;
+}
+
+/**
+ * Expands a weekly schedule ({ monday: [{ from, to }], ... }, as returned by
+ * schedule.get_schedule) into concrete windows from yesterday to tomorrow — yesterday so a
+ * block running past midnight still shows
+ * @param {Object} week - Blocks per weekday name
+ * @param {number} now - Current time (ms)
+ * @returns {Array<{start: number, end: number}>}
+ */
+function windowsFromWeek(week, now) {
+  const windows = [];
+  for (let offset = -1; offset <= 1; offset++) {
+    const day = new Date(now);
+    day.setDate(day.getDate() + offset);
+    for (const block of week?.[WEEKDAYS[day.getDay()]] ?? []) {
+      const start = timeOnDay(day, block.from);
+      const end = timeOnDay(day, block.to);
+      if (start !== null && end !== null) windows.push({ start, end: end > start ? end : end + 86400000 });
+    }
+  }
+  return windows;
+}
+
 /**
  * Determines battery status from power value
  * @param {number} power - Power in watts (+ charging, - discharging)
@@ -364,39 +1276,109 @@ function resolveColour(value, fallback) {
   return fallback;
 }
 
+// The five bands the card has always had, as configured by the legacy soc_threshold_* /
+// soc_colour_* keys. "Very low" has no threshold of its own: it is everything below "low".
+const LEGACY_SOC_LEVELS = [
+  { thresholdKey: 'soc_threshold_very_high', colourKey: 'soc_colour_very_high', from: 80, colour: [0, 128, 0] },
+  { thresholdKey: 'soc_threshold_high', colourKey: 'soc_colour_high', from: 60, colour: [0, 128, 0] },
+  { thresholdKey: 'soc_threshold_medium', colourKey: 'soc_colour_medium', from: 40, colour: [255, 166, 0] },
+  { thresholdKey: 'soc_threshold_low', colourKey: 'soc_colour_low', from: 20, colour: [219, 68, 55] },
+  { thresholdKey: null, colourKey: 'soc_colour_very_low', from: 0, colour: [139, 0, 0] },
+];
+
 /**
- * Gets the color for a SOC percentage based on thresholds
- * @param {number} socPercent - State of charge percentage
- * @param {Object} config - Card configuration with threshold/color settings
- * @returns {string} CSS color value (rgb() or var())
+ * The SOC colour levels, highest first. soc_levels when configured; otherwise the legacy
+ * threshold/colour keys converted into the same { from, colour } shape. Levels sharing a
+ * `from` (a slider dragged across another in the editor) keep their list order, so the
+ * earlier one applies.
+ * @param {Object} config - Card configuration
+ * @returns {Array<{from: number, colour: string|number[], icon?: string}>}
  */
-function getSocColor(socPercent, config) {
-  const thresholds = [
-    { threshold: config.soc_threshold_very_high ?? 80, color: config.soc_colour_very_high ?? [0, 128, 0] },
-    { threshold: config.soc_threshold_high ?? 60, color: config.soc_colour_high ?? [0, 128, 0] },
-    { threshold: config.soc_threshold_medium ?? 40, color: config.soc_colour_medium ?? [255, 166, 0] },
-    { threshold: config.soc_threshold_low ?? 20, color: config.soc_colour_low ?? [219, 68, 55] },
-  ];
-
-  for (const t of thresholds) {
-    if (socPercent >= t.threshold) {
-      const resolved = resolveColour(t.color);
-      if (resolved !== undefined) return resolved;
-    }
+function socLevels(config) {
+  if (Array.isArray(config.soc_levels) && config.soc_levels.length) {
+    return config.soc_levels
+      .map((level, index) => ({ level, index }))
+      .sort((a, b) => b.level.from - a.level.from || a.index - b.index)
+      .map(({ level }) => level);
   }
+  return LEGACY_SOC_LEVELS.map(level => ({
+    from: level.thresholdKey ? (config[level.thresholdKey] ?? level.from) : level.from,
+    colour: config[level.colourKey] ?? level.colour,
+  }));
+}
 
-  return resolveColour(config.soc_colour_very_low ?? [139, 0, 0]);
+/**
+ * Finds the SOC level a percentage falls in: the highest level whose `from` it has reached.
+ * Below every level, the lowest one applies, as "very low" always has.
+ * @param {number} socPercent - State of charge percentage
+ * @param {Object} config - Card configuration
+ * @returns {{from: number, colour: string|number[], icon?: string}}
+ */
+function getSocLevel(socPercent, config) {
+  const levels = socLevels(config);
+  return levels.find(level => socPercent >= level.from) ?? levels[levels.length - 1];
 }
 
+/**
+ * Parses a computed CSS colour — #rgb, #rrggbb or rgb()/rgba() — into [r, g, b]
+ * @param {string} text - Colour as the browser reports it
+ * @returns {number[]|null} [r, g, b], or null for anything else (e.g. a colour name)
+ */
+function parseCssColour(text) {
+  const value = (text ?? '').trim();
+  let match = /^#([0-9a-f]{3})$/i.exec(value);
+  if (match) return [...match[1]].map(h => parseInt(h + h, 16));
+  match = /^#([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i.exec(value);
+  if (match) return match.slice(1).map(h => parseInt(h, 16));
+  match = /^rgba?\(\s*([\d.]+)[\s,]+([\d.]+)[\s,]+([\d.]+)/i.exec(value);
+  if (match) return match.slice(1).map(n => Math.round(Number(n)));
+  return null;
+}
 
 /**
- * Gets the battery level icon for a SOC percentage
+ * Interpolates a colour for a SOC percentage between the levels either side of it, each
+ * level's colour anchored at its `from`. Above the highest level or below the lowest, that
+ * level's colour applies unchanged.
  * @param {number} socPercent - State of charge percentage
- * @returns {string} MDI battery icon name
+ * @param {Object} config - Card configuration
+ * @param {function(string|number[]): (number[]|null)} toRgb - Resolves a level colour to [r, g, b]
+ * @returns {string|null} rgb() colour, or null if a colour it needs can't be resolved
  */
-function getBatteryIcon(socPercent) {
-  if (socPercent >= 95) return 'mdi:battery';
-  if (socPercent >= 85) return 'mdi:battery-90';
+function getSocGradientColor(socPercent, config, toRgb) {
+  const levels = socLevels(config);
+  const upper = [...levels].reverse().find(level => level.from > socPercent);
+  const lower = levels.find(level => level.from <= socPercent);
+  let rgb;
+  if (!upper || !lower) {
+    rgb = toRgb((upper ?? lower).colour);
+  } else {
+    const a = toRgb(lower.colour);
+    const b = toRgb(upper.colour);
+    const t = (socPercent - lower.from) / (upper.from - lower.from);
+    rgb = a && b ? a.map((v, i) => Math.round(v + (b[i] - v) * t)) : null;
+  }
+  return rgb ? `rgb(${rgb[0]}, ${rgb[1]}, ${rgb[2]})` : null;
+}
+
+/**
+ * Gets the color for a SOC percentage from the SOC levels
+ * @param {number} socPercent - State of charge percentage
+ * @param {Object} config - Card configuration with level settings
+ * @returns {string} CSS color value (rgb() or var())
+ */
+function getSocColor(socPercent, config) {
+  return resolveColour(getSocLevel(socPercent, config).colour);
+}
+
+
+/**
+ * Gets the battery level icon for a SOC percentage
+ * @param {number} socPercent - State of charge percentage
+ * @returns {string} MDI battery icon name
+ */
+function getBatteryIcon(socPercent) {
+  if (socPercent >= 95) return 'mdi:battery';
+  if (socPercent >= 85) return 'mdi:battery-90';
   if (socPercent >= 75) return 'mdi:battery-80';
   if (socPercent >= 65) return 'mdi:battery-70';
   if (socPercent >= 55) return 'mdi:battery-60';
@@ -418,6 +1400,1240 @@ function fireEvent(node, type, detail = {}) {
   node.dispatchEvent(new CustomEvent(type, { bubbles: true, composed: true, detail }));
 }
 
+// ============================================================================
+// TRANSLATIONS
+// ============================================================================
+
+// Strings keyed by language, then by key. `{name}` marks a value filled in by localize(), so
+// word order can change per language ("{pct}% At" vs "Um {pct}%") without splicing text.
+// The card's strings are all listed under `en`. The editor's English labels live in the
+// schemas, so its keys (editor.*) only appear in the other languages and fall back to the
+// schema label when missing.
+const TRANSLATIONS = {
+  en: {
+    'state.charging': 'Charging',
+    'state.discharging': 'Discharging',
+    'state.idle': 'Idle',
+    'direction.charge': 'Charge',
+    'direction.discharge': 'Discharge',
+    'direction.idle': 'Idle',
+    'header.mode': 'Mode: {mode}',
+    'header.capacity': 'Capacity: {value}',
+    'header.charge_sources': '☀ {solar}% / grid {grid}%',
+    'header.stored': 'Stored: {value}',
+    'header.cost_to_full': 'Cost to full: {value}',
+    'stats.temp': 'Battery Temp:',
+    'stats.cycles': 'Battery Cycles:',
+    'stats.health': 'Battery Health:',
+    'gauge.reserve': 'Reserve {pct}%',
+    'gauge.cutoff': 'Cutoff {pct}%',
+    'marker.confirm': 'Set {setting}?',
+    'mode.confirm': 'Switch the battery mode to {mode}?',
+    'rate.max_charge': 'Max Charge',
+    'rate.max_discharge': 'Max Discharge',
+    'footer.runtime': 'Runtime: {duration}',
+    'footer.depletes_at': 'Depletes At: {eta}',
+    'footer.pct_at': '{pct}% At: {eta}',
+    'footer.time_to_pct': 'Time to {pct}%: {duration}',
+    'footer.time_to_full': 'Time to Full: {duration}',
+    'footer.full_at': 'Full At: {eta}',
+    'footer.now': 'Now — {estimate}',
+    'footer.average': '{minutes} min avg — {estimate}',
+    'footer.solar_no_cutoff': "Won't reach cutoff today (max ~{pct}%)",
+    'footer.solar_no_full': "Won't reach full today (max ~{pct}%)",
+    'schedule.charge': 'Forced charge',
+    'schedule.discharge': 'Forced discharge',
+    'schedule.until': '{label} until {time}',
+    'schedule.starts_in': 'Next {label} in {duration}',
+    'schedule.now': 'Now',
+    'energy.in_today': 'In today:',
+    'energy.out_today': 'Out today:',
+    'energy.efficiency': 'Efficiency:',
+    'gauge.soc_derived': 'Derived from stored energy and capacity',
+    'cells.cell': 'Cell {n}',
+    'cells.min': 'Min:',
+    'cells.max': 'Max:',
+    'cells.delta': 'Delta:',
+    'cells.temp': 'Temp:',
+    'pack.name': 'Pack {n}',
+    'error.read': 'Unable to read sensor values',
+    'warning.unit.W': '{entity} reports {unit}, not a power unit, so it is ignored',
+    'warning.unit.Wh': '{entity} reports {unit}, not an energy unit, so it is ignored',
+    'warning.unit.Ah': '{entity} reports {unit}; set nominal_voltage to convert it to energy',
+    'warning.unit.V': '{entity} reports {unit}, not a voltage unit, so it is ignored',
+    'warning.unit.A': '{entity} reports {unit}, not a current unit, so it is ignored',
+    'loading': 'Loading...',
+    'preview.configure': 'Configure entities to get started',
+  },
+  de: {
+    'state.charging': 'Lädt',
+    'state.discharging': 'Entlädt',
+    'state.idle': 'Ruhe',
+    'direction.charge': 'Laden',
+    'direction.discharge': 'Entladen',
+    'direction.idle': 'Ruhe',
+    'header.mode': 'Modus: {mode}',
+    'header.capacity': 'Kapazität: {value}',
+    'header.charge_sources': '☀ {solar}% / Netz {grid}%',
+    'header.stored': 'Gespeichert: {value}',
+    'header.cost_to_full': 'Kosten bis voll: {value}',
+    'stats.temp': 'Batterietemp.:',
+    'stats.cycles': 'Ladezyklen:',
+    'stats.health': 'Batteriezustand:',
+    'gauge.reserve': 'Reserve {pct}%',
+    'gauge.cutoff': 'Ladegrenze {pct}%',
+    'marker.confirm': '{setting} einstellen?',
+    'mode.confirm': 'Batteriemodus auf {mode} umschalten?',
+    'rate.max_charge': 'Max. Laden',
+    'rate.max_discharge': 'Max. Entladen',
+    'footer.runtime': 'Laufzeit: {duration}',
+    'footer.depletes_at': 'Leer um: {eta}',
+    'footer.pct_at': '{pct}% um: {eta}',
+    'footer.time_to_pct': 'Zeit bis {pct}%: {duration}',
+    'footer.time_to_full': 'Zeit bis voll: {duration}',
+    'footer.full_at': 'Voll um: {eta}',
+    'footer.now': 'Jetzt — {estimate}',
+    'footer.average': 'Ø {minutes} Min. — {estimate}',
+    'footer.solar_no_cutoff': 'Ladegrenze heute nicht erreicht (max. ~{pct}%)',
+    'footer.solar_no_full': 'Heute nicht voll (max. ~{pct}%)',
+    'schedule.charge': 'Zwangsladung',
+    'schedule.discharge': 'Zwangsentladung',
+    'schedule.until': '{label} bis {time}',
+    'schedule.starts_in': 'Nächste {title} in {duration}',
+    'schedule.now': 'Jetzt',
+    'energy.in_today': 'Heute geladen:',
+    'energy.out_today': 'Heute entladen:',
+    'energy.efficiency': 'Wirkungsgrad:',
+    'gauge.soc_derived': 'Aus gespeicherter Energie und Kapazität berechnet',
+    'cells.cell': 'Zelle {n}',
+    'cells.min': 'Min:',
+    'cells.max': 'Max:',
+    'cells.delta': 'Delta:',
+    'cells.temp': 'Temp.:',
+    'pack.name': 'Akku {n}',
+    'error.read': 'Sensorwerte können nicht gelesen werden',
+    'warning.unit.W': '{entity} meldet {unit}, keine Leistungseinheit, und wird ignoriert',
+    'warning.unit.Wh': '{entity} meldet {unit}, keine Energieeinheit, und wird ignoriert',
+    'warning.unit.Ah': '{entity} meldet {unit}; nominal_voltage setzen, um in Energie umzurechnen',
+    'warning.unit.V': '{entity} meldet {unit}, keine Spannungseinheit, und wird ignoriert',
+    'warning.unit.A': '{entity} meldet {unit}, keine Stromeinheit, und wird ignoriert',
+    'loading': 'Wird geladen...',
+    'preview.configure': 'Entitäten konfigurieren, um zu beginnen',
+    'editor.tab.general': 'Allgemein',
+    'editor.tab.entities': 'Entitäten',
+    'editor.tab.stats': 'Statistiken',
+    'editor.tab.soc': 'SOC-Farben',
+    'editor.tab.filters': 'Filter',
+    'editor.tab.actions': 'Aktionen',
+    'editor.help.entities': 'Für feste Werte (Kapazität, Reserve, Raten, Ladegrenze) kann entweder eine Entität ausgewählt ODER ein fester Wert eingegeben werden. Feste Werte haben Vorrang.',
+    'editor.help.stats': 'Entitäten im Statistikpanel oben rechts, in dieser Reihenfolge. Das Panel erscheint nur, wenn mindestens eine davon einen Wert hat.',
+    'editor.help.cells': 'Zellspannungssensoren für die Zellleiste unter den Anzeigen, in Zellreihenfolge. In YAML kann jede Liste stattdessen ein Muster sein, etwa sensor.bms_cell_*_voltage.',
+    'editor.help.soc': 'Die Farbe (und das optionale Symbol) einer Stufe gilt ab ihrem Prozentwert bis zur nächsten Stufe. Die niedrigste Stufe gilt auch für alles darunter.',
+    'editor.help.actions': 'Was Tippen, Halten oder Doppeltippen auf einen Teil der Karte bewirkt. Standardmäßig öffnet Tippen die Entität des Elements, sonst ist nichts belegt.',
+    'editor.button.add_level': 'Stufe hinzufügen',
+    'editor.button.remove_level': 'Stufe entfernen',
+    'editor.button.add_stat': 'Wert hinzufügen',
+    'editor.button.remove_stat': 'Wert entfernen',
+    'editor.field.name': 'Kartenname',
+    'editor.field.show_name': 'Namen anzeigen',
+    'editor.field.name_template': 'ODER Kartenname-Template (Jinja)',
+    'editor.field.decimal_places': 'Nachkommastellen',
+    'editor.field.layout': 'Darstellung',
+    'editor.option.layout.rings': 'Ringe',
+    'editor.option.layout.bar': 'Horizontale Balken',
+    'editor.field.gauge_thickness': 'Ringstärke der Anzeige (%)',
+    'editor.field.gauge_track_colour': 'Farbe der Anzeigespur',
+    'editor.field.power_gauge_scale': 'Größe der Leistungsanzeige ggü. Hauptanzeige (%)',
+    'editor.field.header_style': 'Kopfzeilenstil',
+    'editor.option.header_style.full': 'Volle Kopfzeile',
+    'editor.option.header_style.title': 'Nur Titel',
+    'editor.option.header_style.none': 'Kein Titel',
+    'editor.field.show_runtime': 'Laufzeit/Leerzeit anzeigen',
+    'editor.field.power_average_minutes': 'Leistung mitteln über (Minuten, 0 = aus)',
+    'editor.field.runtime_estimate': 'Laufzeitschätzung (bei Mittelung)',
+    'editor.option.runtime_estimate.average': 'Mittlere Leistung',
+    'editor.option.runtime_estimate.now': 'Aktuelle Leistung',
+    'editor.option.runtime_estimate.both': 'Beide',
+    'editor.field.date_format': 'Datumsformat',
+    'editor.option.date_format.auto': 'Auto (HA-Gebietsschema)',
+    'editor.field.time_format': 'Zeitformat',
+    'editor.option.time_format.auto': 'Auto (HA-Gebietsschema)',
+    'editor.option.time_format.24': '24 Stunden',
+    'editor.option.time_format.12': '12 Stunden',
+    'editor.field.show_rates': 'Leistungsanzeige anzeigen (Lade-/Entladeraten)',
+    'editor.field.show_rate_labels': 'Max. Laden/Entladen-Beschriftung anzeigen',
+    'editor.field.show_power_percent': 'Leistung in Prozent anzeigen',
+    'editor.field.show_power_direction': 'Leistungsrichtung anzeigen',
+    'editor.field.show_gauge_labels': 'Reserve/Ladegrenze-Beschriftung anzeigen',
+    'editor.field.interactive_markers': 'Reserve-/Ladegrenzen-Marker zum Einstellen ziehen (number-Entitäten)',
+    'editor.field.marker_confirmation': 'Vor dem Setzen eines gezogenen Markers bestätigen',
+    'editor.field.mode_dropdown': 'Modus aus einer Auswahlliste wählen (select-Entitäten)',
+    'editor.field.mode_confirmation': 'Vor dem Moduswechsel bestätigen',
+    'editor.field.gauge_label_position': 'Position der Reserve/Ladegrenze-Beschriftung',
+    'editor.option.gauge_label_position.above': 'Über der Anzeige',
+    'editor.option.gauge_label_position.below': 'Unter der Anzeige',
+    'editor.field.show_capacity': 'Kapazität in der Kopfzeile anzeigen',
+    'editor.field.show_energy_value': 'Gespeicherten Wert / Kosten bis voll in der Kopfzeile anzeigen (mit Preis)',
+    'editor.field.show_stats': 'Statistikpanel anzeigen (Temp./Zyklen/Zustand)',
+    'editor.field.show_packs': 'Zeilen je Akkupack anzeigen (Multi-Pack)',
+    'editor.field.show_history': 'SOC-Verlauf als Sparkline anzeigen',
+    'editor.field.history_hours': 'Verlaufszeitraum (Stunden)',
+    'editor.field.history_show_power': 'Leistung im Verlauf einblenden',
+    'editor.field.show_energy_today': 'Heute geladene/entladene Energie anzeigen',
+    'editor.field.show_schedule_strip': 'Zeitplanleiste anzeigen (mit Zeitplan-Entitäten)',
+    'editor.field.show_cells': 'Zellspannungen anzeigen (mit Zell-Entitäten)',
+    'editor.field.soc_entity': 'SOC-Entität',
+    'editor.field.power_entity': 'Leistungs-Entität',
+    'editor.field.charge_power_entity': 'ODER Ladeleistungs-Entität (ohne Vorzeichen)',
+    'editor.field.discharge_power_entity': '+ Entladeleistungs-Entität (ohne Vorzeichen)',
+    'editor.field.invert_power': 'Leistungswert invertieren',
+    'editor.field.voltage_entity': 'ODER Spannungs-Entität',
+    'editor.field.current_entity': '× Strom-Entität',
+    'editor.field.invert_current': 'Strom invertieren (positiv beim Entladen)',
+    'editor.field.state_entity': 'Status-Entität (ersetzt Automatik)',
+    'editor.field.state_template': 'ODER Status-Template (Jinja)',
+    'editor.field.mode_entity': 'Modus-Entität (z. B. input_select)',
+    'editor.field.mode_template': 'ODER Modus-Template (Jinja)',
+    'editor.field.soc_energy_entity': 'SOC-Energie-Entität',
+    'editor.field.charge_energy_entity': 'Lade-Energie-Entität (gesamt)',
+    'editor.field.discharge_energy_entity': 'Entlade-Energie-Entität (gesamt)',
+    'editor.field.capacity_entity': 'Kapazitäts-Entität',
+    'editor.field.capacity': 'ODER feste Kapazität (kWh)',
+    'editor.field.nominal_voltage': 'Nennspannung (V, für Kapazität in Ah)',
+    'editor.field.reserve_entity': 'Reserve-Entität',
+    'editor.field.reserve': 'ODER feste Reserve (%)',
+    'editor.field.charge_rate_entity': 'Entität max. Ladeleistung',
+    'editor.field.charge_rate': 'ODER feste max. Ladeleistung (W)',
+    'editor.field.discharge_rate_entity': 'Entität max. Entladeleistung',
+    'editor.field.discharge_rate': 'ODER feste max. Entladeleistung (W)',
+    'editor.field.cutoff_entity': 'Ladegrenze-Entität (max. Ladung %)',
+    'editor.field.cutoff': 'ODER feste Ladegrenze (%)',
+    'editor.field.solar_forecast_entity': 'Solarprognose-Entität (Solcast / Forecast.Solar)',
+    'editor.field.house_load_entity': 'Hausverbrauch-Entität',
+    'editor.field.house_load': 'ODER fester Hausverbrauch (W)',
+    'editor.field.solar_power_entity': 'Solarleistung-Entität (Aufteilung der Ladequelle)',
+    'editor.field.grid_power_entity': 'Netzleistung-Entität (positiv bei Bezug)',
+    'editor.field.invert_grid_power': 'Netzleistung invertieren (positiv bei Einspeisung)',
+    'editor.field.price_entity': 'Strompreis-Entität (aktueller Bezugspreis)',
+    'editor.field.stored_energy_price': 'Preis der gespeicherten Energie (pro kWh)',
+    'editor.field.charge_efficiency': 'Ladewirkungsgrad (%)',
+    'editor.field.schedule_entities': 'Lade-Zeitplan-Entitäten (schedule / calendar / time)',
+    'editor.field.entity': 'Entität',
+    'editor.field.label': 'Beschriftung (Standard: Entitätsname)',
+    'editor.field.unit': 'Einheit (ersetzt die der Entität)',
+    'editor.field.precision': 'Nachkommastellen',
+    'editor.field.field': 'Messwert für Bedingungen (optional)',
+    'editor.option.field.temp': 'Temperatur',
+    'editor.option.field.cycles': 'Zyklen',
+    'editor.option.field.health': 'Zustand',
+    'editor.field.cell_voltage_entities': 'Zellspannungs-Entitäten',
+    'editor.field.cell_temp_entities': 'Zelltemperatur-Entitäten',
+    'editor.field.cell_delta_warning': 'Warnung bei Zelldifferenz (mV)',
+    'editor.field.soc_colour_mode': 'Farbmodus',
+    'editor.option.soc_colour_mode.step': 'Stufen (Farbe der Stufe)',
+    'editor.option.soc_colour_mode.gradient': 'Verlauf (zwischen Stufen mischen)',
+    'editor.field.soc_gradient_arc': 'Ring als Verlauf zeichnen (Verlaufsmodus)',
+    'editor.field.from': 'Ab (%)',
+    'editor.field.colour': 'Farbe',
+    'editor.field.colour_variable': 'CSS-Variablenname (z. B. --success-color)',
+    'editor.field.icon': 'Symbol (optional)',
+    'editor.field.enable_trickle_charge_filter': 'Erhaltungsladungsfilter aktivieren',
+    'editor.field.trickle_charge_threshold': 'Filterschwelle (W)',
+    'editor.element.soc_gauge': 'SOC-Anzeige',
+    'editor.element.power_gauge': 'Leistungsanzeige',
+    'editor.element.title': 'Titel',
+    'editor.element.mode': 'Modus / Zahnrad',
+    'editor.element.state_row': 'Statuszeile',
+    'editor.element.temp_stat': 'Temperaturwert',
+    'editor.element.cycles_stat': 'Zyklenwert',
+    'editor.element.health_stat': 'Zustandswert',
+    'editor.field.tap_action': 'Tipp-Aktion',
+    'editor.field.hold_action': 'Halte-Aktion',
+    'editor.field.double_tap_action': 'Doppeltipp-Aktion',
+  },
+  fr: {
+    'state.charging': 'En charge',
+    'state.discharging': 'En décharge',
+    'state.idle': 'Inactive',
+    'direction.charge': 'Charge',
+    'direction.discharge': 'Décharge',
+    'direction.idle': 'Inactive',
+    'header.mode': 'Mode : {mode}',
+    'header.capacity': 'Capacité : {value}',
+    'header.charge_sources': '☀ {solar}% / réseau {grid}%',
+    'header.stored': 'Stocké : {value}',
+    'header.cost_to_full': 'Coût jusqu’au plein : {value}',
+    'stats.temp': 'Temp. batterie :',
+    'stats.cycles': 'Cycles batterie :',
+    'stats.health': 'Santé batterie :',
+    'gauge.reserve': 'Réserve {pct} %',
+    'gauge.cutoff': 'Limite {pct} %',
+    'marker.confirm': 'Régler : {setting} ?',
+    'mode.confirm': 'Passer le mode de la batterie à {mode} ?',
+    'rate.max_charge': 'Charge max.',
+    'rate.max_discharge': 'Décharge max.',
+    'footer.runtime': 'Autonomie : {duration}',
+    'footer.depletes_at': 'Vide à : {eta}',
+    'footer.pct_at': '{pct} % à : {eta}',
+    'footer.time_to_pct': 'Temps jusqu’à {pct} % : {duration}',
+    'footer.time_to_full': 'Temps jusqu’à plein : {duration}',
+    'footer.full_at': 'Pleine à : {eta}',
+    'footer.now': 'Maintenant — {estimate}',
+    'footer.average': 'Moy. {minutes} min — {estimate}',
+    'footer.solar_no_cutoff': 'N’atteindra pas la limite aujourd’hui (max ~{pct} %)',
+    'footer.solar_no_full': 'Ne sera pas pleine aujourd’hui (max ~{pct} %)',
+    'schedule.charge': 'Charge forcée',
+    'schedule.discharge': 'Décharge forcée',
+    'schedule.until': '{label} jusqu’à {time}',
+    'schedule.starts_in': 'Prochaine {label} dans {duration}',
+    'schedule.now': 'Maint.',
+    'energy.in_today': 'Chargé aujourd’hui :',
+    'energy.out_today': 'Déchargé aujourd’hui :',
+    'energy.efficiency': 'Rendement :',
+    'gauge.soc_derived': 'Calculé à partir de l’énergie stockée et de la capacité',
+    'cells.cell': 'Cellule {n}',
+    'cells.min': 'Min :',
+    'cells.max': 'Max :',
+    'cells.delta': 'Écart :',
+    'cells.temp': 'Temp. :',
+    'pack.name': 'Batterie {n}',
+    'error.read': 'Impossible de lire les valeurs des capteurs',
+    'warning.unit.W': '{entity} indique {unit}, pas une unité de puissance ; ignoré',
+    'warning.unit.Wh': '{entity} indique {unit}, pas une unité d\'énergie ; ignoré',
+    'warning.unit.Ah': '{entity} indique {unit} ; définissez nominal_voltage pour le convertir en énergie',
+    'warning.unit.V': '{entity} indique {unit}, pas une unité de tension ; ignoré',
+    'warning.unit.A': '{entity} indique {unit}, pas une unité de courant ; ignoré',
+    'loading': 'Chargement...',
+    'preview.configure': 'Configurez les entités pour commencer',
+    'editor.tab.general': 'Général',
+    'editor.tab.entities': 'Entités',
+    'editor.tab.stats': 'Statistiques',
+    'editor.tab.soc': 'Couleurs SOC',
+    'editor.tab.filters': 'Filtres',
+    'editor.tab.actions': 'Actions',
+    'editor.help.entities': 'Pour les valeurs fixes (capacité, réserve, puissances, limite), choisissez une entité OU saisissez une valeur fixe. Les valeurs fixes sont prioritaires.',
+    'editor.help.stats': 'Entités affichées dans le panneau de statistiques en haut à droite, dans cet ordre. Le panneau n’apparaît que si au moins l’une d’elles a une valeur.',
+    'editor.help.cells': 'Capteurs de tension des cellules pour la bande des cellules sous les jauges, dans l’ordre des cellules. En YAML, chaque liste peut être remplacée par un motif, comme sensor.bms_cell_*_voltage.',
+    'editor.help.soc': 'La couleur (et l’icône facultative) d’un niveau s’applique de son pourcentage jusqu’au niveau suivant. Le niveau le plus bas couvre aussi tout ce qui est en dessous.',
+    'editor.help.actions': 'Ce que fait un appui, un appui long ou un double appui sur chaque partie de la carte. Par défaut, un appui ouvre l’entité de l’élément et rien d’autre n’est associé.',
+    'editor.button.add_level': 'Ajouter un niveau',
+    'editor.button.remove_level': 'Supprimer le niveau',
+    'editor.button.add_stat': 'Ajouter une statistique',
+    'editor.button.remove_stat': 'Supprimer la statistique',
+    'editor.field.name': 'Nom de la carte',
+    'editor.field.show_name': 'Afficher le nom',
+    'editor.field.name_template': 'OU modèle de nom de carte (Jinja)',
+    'editor.field.decimal_places': 'Décimales',
+    'editor.field.layout': 'Disposition',
+    'editor.option.layout.rings': 'Anneaux',
+    'editor.option.layout.bar': 'Barres horizontales',
+    'editor.field.gauge_thickness': 'Épaisseur de l’anneau (%)',
+    'editor.field.gauge_track_colour': 'Couleur du fond de l’anneau',
+    'editor.field.power_gauge_scale': 'Taille de la jauge de puissance vs jauge principale (%)',
+    'editor.field.header_style': 'Style d’en-tête',
+    'editor.option.header_style.full': 'En-tête complet',
+    'editor.option.header_style.title': 'Titre seul',
+    'editor.option.header_style.none': 'Sans titre',
+    'editor.field.show_runtime': 'Afficher autonomie / heure de décharge',
+    'editor.field.power_average_minutes': 'Moyenne de puissance sur (minutes, 0 = désactivé)',
+    'editor.field.runtime_estimate': 'Estimation d’autonomie (avec moyenne)',
+    'editor.option.runtime_estimate.average': 'Puissance moyenne',
+    'editor.option.runtime_estimate.now': 'Puissance actuelle',
+    'editor.option.runtime_estimate.both': 'Les deux',
+    'editor.field.date_format': 'Format de date',
+    'editor.option.date_format.auto': 'Auto (langue HA)',
+    'editor.field.time_format': 'Format d’heure',
+    'editor.option.time_format.auto': 'Auto (langue HA)',
+    'editor.option.time_format.24': '24 heures',
+    'editor.option.time_format.12': '12 heures',
+    'editor.field.show_rates': 'Afficher la jauge de puissance (charge/décharge)',
+    'editor.field.show_rate_labels': 'Afficher les libellés charge/décharge max.',
+    'editor.field.show_power_percent': 'Afficher le pourcentage de puissance',
+    'editor.field.show_power_direction': 'Afficher le sens de la puissance',
+    'editor.field.show_gauge_labels': 'Afficher les libellés réserve/limite',
+    'editor.field.interactive_markers': 'Faire glisser les repères réserve/limite pour les régler (entités number)',
+    'editor.field.marker_confirmation': 'Confirmer avant d’appliquer un repère déplacé',
+    'editor.field.mode_dropdown': 'Choisir le mode dans une liste (entités select)',
+    'editor.field.mode_confirmation': 'Confirmer avant de changer de mode',
+    'editor.field.gauge_label_position': 'Position des libellés réserve/limite',
+    'editor.option.gauge_label_position.above': 'Au-dessus de la jauge',
+    'editor.option.gauge_label_position.below': 'Sous la jauge',
+    'editor.field.show_capacity': 'Afficher la capacité dans l’en-tête',
+    'editor.field.show_energy_value': 'Afficher la valeur stockée / le coût jusqu’au plein dans l’en-tête (avec un prix)',
+    'editor.field.show_stats': 'Afficher le panneau de stats (temp./cycles/santé)',
+    'editor.field.show_packs': 'Afficher une ligne par pack (multi-pack)',
+    'editor.field.show_history': 'Afficher l’historique SOC (sparkline)',
+    'editor.field.history_hours': 'Durée de l’historique (heures)',
+    'editor.field.history_show_power': 'Inclure la puissance dans l’historique',
+    'editor.field.show_energy_today': 'Afficher l’énergie chargée/déchargée du jour',
+    'editor.field.show_schedule_strip': 'Afficher la bande de planification (avec entités de planning)',
+    'editor.field.show_cells': 'Afficher les tensions des cellules (avec entités de cellules)',
+    'editor.field.soc_entity': 'Entité SOC',
+    'editor.field.power_entity': 'Entité de puissance',
+    'editor.field.charge_power_entity': 'OU entité de puissance de charge (non signée)',
+    'editor.field.discharge_power_entity': '+ entité de puissance de décharge (non signée)',
+    'editor.field.invert_power': 'Inverser la valeur de puissance',
+    'editor.field.voltage_entity': 'OU entité de tension',
+    'editor.field.current_entity': '× entité de courant',
+    'editor.field.invert_current': 'Inverser le courant (positif en décharge)',
+    'editor.field.state_entity': 'Entité d’état (remplace l’auto-détection)',
+    'editor.field.state_template': 'OU modèle d’état (Jinja)',
+    'editor.field.mode_entity': 'Entité de mode (ex. input_select)',
+    'editor.field.mode_template': 'OU modèle de mode (Jinja)',
+    'editor.field.soc_energy_entity': 'Entité d’énergie SOC',
+    'editor.field.charge_energy_entity': 'Entité d’énergie chargée (totale)',
+    'editor.field.discharge_energy_entity': 'Entité d’énergie déchargée (totale)',
+    'editor.field.capacity_entity': 'Entité de capacité',
+    'editor.field.capacity': 'OU capacité fixe (kWh)',
+    'editor.field.nominal_voltage': 'Tension nominale (V, pour une capacité en Ah)',
+    'editor.field.reserve_entity': 'Entité de réserve',
+    'editor.field.reserve': 'OU réserve fixe (%)',
+    'editor.field.charge_rate_entity': 'Entité de puissance de charge max.',
+    'editor.field.charge_rate': 'OU puissance de charge max. fixe (W)',
+    'editor.field.discharge_rate_entity': 'Entité de puissance de décharge max.',
+    'editor.field.discharge_rate': 'OU puissance de décharge max. fixe (W)',
+    'editor.field.cutoff_entity': 'Entité de limite (charge max. %)',
+    'editor.field.cutoff': 'OU limite fixe (%)',
+    'editor.field.solar_forecast_entity': 'Entité de prévision solaire (Solcast / Forecast.Solar)',
+    'editor.field.house_load_entity': 'Entité de consommation de la maison',
+    'editor.field.house_load': 'OU consommation fixe de la maison (W)',
+    'editor.field.solar_power_entity': 'Entité de puissance solaire (répartition de la source de charge)',
+    'editor.field.grid_power_entity': 'Entité de puissance réseau (positive en importation)',
+    'editor.field.invert_grid_power': 'Inverser la puissance réseau (positive en exportation)',
+    'editor.field.price_entity': 'Entité de prix de l’énergie (prix d’achat actuel)',
+    'editor.field.stored_energy_price': 'Prix de l’énergie stockée (par kWh)',
+    'editor.field.charge_efficiency': 'Rendement de charge (%)',
+    'editor.field.schedule_entities': 'Entités de planning de charge (schedule / calendar / time)',
+    'editor.field.entity': 'Entité',
+    'editor.field.label': 'Libellé (par défaut : nom de l’entité)',
+    'editor.field.unit': 'Unité (remplace celle de l’entité)',
+    'editor.field.precision': 'Décimales',
+    'editor.field.field': 'Mesure pour les conditions (facultatif)',
+    'editor.option.field.temp': 'Température',
+    'editor.option.field.cycles': 'Cycles',
+    'editor.option.field.health': 'Santé',
+    'editor.field.cell_voltage_entities': 'Entités de tension des cellules',
+    'editor.field.cell_temp_entities': 'Entités de température des cellules',
+    'editor.field.cell_delta_warning': 'Alerte d’écart entre cellules (mV)',
+    'editor.field.soc_colour_mode': 'Mode de couleur',
+    'editor.option.soc_colour_mode.step': 'Paliers (couleur du niveau)',
+    'editor.option.soc_colour_mode.gradient': 'Dégradé (mélange entre niveaux)',
+    'editor.field.soc_gradient_arc': 'Peindre l’anneau en dégradé (mode dégradé)',
+    'editor.field.from': 'À partir de (%)',
+    'editor.field.colour': 'Couleur',
+    'editor.field.colour_variable': 'Nom de variable CSS (p. ex. --success-color)',
+    'editor.field.icon': 'Icône (facultative)',
+    'editor.field.enable_trickle_charge_filter': 'Activer le filtre de charge d’entretien',
+    'editor.field.trickle_charge_threshold': 'Seuil du filtre (W)',
+    'editor.element.soc_gauge': 'Jauge SOC',
+    'editor.element.power_gauge': 'Jauge de puissance',
+    'editor.element.title': 'Titre',
+    'editor.element.mode': 'Mode / engrenage',
+    'editor.element.state_row': 'Ligne d’état',
+    'editor.element.temp_stat': 'Statistique de température',
+    'editor.element.cycles_stat': 'Statistique de cycles',
+    'editor.element.health_stat': 'Statistique de santé',
+    'editor.field.tap_action': 'Action d’appui',
+    'editor.field.hold_action': 'Action d’appui long',
+    'editor.field.double_tap_action': 'Action de double appui',
+  },
+  nl: {
+    'state.charging': 'Laden',
+    'state.discharging': 'Ontladen',
+    'state.idle': 'Inactief',
+    'direction.charge': 'Laden',
+    'direction.discharge': 'Ontladen',
+    'direction.idle': 'Inactief',
+    'header.mode': 'Modus: {mode}',
+    'header.capacity': 'Capaciteit: {value}',
+    'header.charge_sources': '☀ {solar}% / net {grid}%',
+    'header.stored': 'Opgeslagen: {value}',
+    'header.cost_to_full': 'Kosten tot vol: {value}',
+    'stats.temp': 'Accutemp.:',
+    'stats.cycles': 'Laadcycli:',
+    'stats.health': 'Accugezondheid:',
+    'gauge.reserve': 'Reserve {pct}%',
+    'gauge.cutoff': 'Laadgrens {pct}%',
+    'marker.confirm': '{setting} instellen?',
+    'mode.confirm': 'Accumodus wijzigen naar {mode}?',
+    'rate.max_charge': 'Max. laden',
+    'rate.max_discharge': 'Max. ontladen',
+    'footer.runtime': 'Looptijd: {duration}',
+    'footer.depletes_at': 'Leeg om: {eta}',
+    'footer.pct_at': '{pct}% om: {eta}',
+    'footer.time_to_pct': 'Tijd tot {pct}%: {duration}',
+    'footer.time_to_full': 'Tijd tot vol: {duration}',
+    'footer.full_at': 'Vol om: {eta}',
+    'footer.now': 'Nu — {estimate}',
+    'footer.average': 'Gem. {minutes} min — {estimate}',
+    'footer.solar_no_cutoff': 'Haalt de laadgrens vandaag niet (max ~{pct}%)',
+    'footer.solar_no_full': 'Wordt vandaag niet vol (max ~{pct}%)',
+    'schedule.charge': 'Geforceerd laden',
+    'schedule.discharge': 'Geforceerd ontladen',
+    'schedule.until': '{label} tot {time}',
+    'schedule.starts_in': 'Volgende {label} over {duration}',
+    'schedule.now': 'Nu',
+    'energy.in_today': 'Vandaag geladen:',
+    'energy.out_today': 'Vandaag ontladen:',
+    'energy.efficiency': 'Rendement:',
+    'gauge.soc_derived': 'Berekend uit opgeslagen energie en capaciteit',
+    'cells.cell': 'Cel {n}',
+    'cells.min': 'Min:',
+    'cells.max': 'Max:',
+    'cells.delta': 'Verschil:',
+    'cells.temp': 'Temp.:',
+    'pack.name': 'Accu {n}',
+    'error.read': 'Kan sensorwaarden niet lezen',
+    'warning.unit.W': '{entity} meldt {unit}, geen vermogenseenheid, en wordt genegeerd',
+    'warning.unit.Wh': '{entity} meldt {unit}, geen energie-eenheid, en wordt genegeerd',
+    'warning.unit.Ah': '{entity} meldt {unit}; stel nominal_voltage in om naar energie om te rekenen',
+    'warning.unit.V': '{entity} meldt {unit}, geen spanningseenheid, en wordt genegeerd',
+    'warning.unit.A': '{entity} meldt {unit}, geen stroomeenheid, en wordt genegeerd',
+    'loading': 'Laden...',
+    'preview.configure': 'Configureer entiteiten om te beginnen',
+    'editor.tab.general': 'Algemeen',
+    'editor.tab.entities': 'Entiteiten',
+    'editor.tab.stats': 'Statistieken',
+    'editor.tab.soc': 'SOC-kleuren',
+    'editor.tab.filters': 'Filters',
+    'editor.tab.actions': 'Acties',
+    'editor.help.entities': 'Voor vaste waarden (capaciteit, reserve, vermogens, laadgrens) kies je een entiteit OF vul je een vaste waarde in. Vaste waarden hebben voorrang.',
+    'editor.help.stats': 'Entiteiten in het statistiekenpaneel rechtsboven, in deze volgorde. Het paneel verschijnt alleen als minstens één ervan een waarde heeft.',
+    'editor.help.cells': 'Celspanningssensoren voor de cellenbalk onder de meters, in celvolgorde. In YAML kan elke lijst ook een patroon zijn, zoals sensor.bms_cell_*_voltage.',
+    'editor.help.soc': 'De kleur (en optionele icoon) van een niveau geldt vanaf het percentage tot het volgende niveau. Het laagste niveau geldt ook voor alles daaronder.',
+    'editor.help.actions': 'Wat tikken, vasthouden of dubbeltikken op elk deel van de kaart doet. Standaard opent tikken de entiteit van het element en is verder niets ingesteld.',
+    'editor.button.add_level': 'Niveau toevoegen',
+    'editor.button.remove_level': 'Niveau verwijderen',
+    'editor.button.add_stat': 'Statistiek toevoegen',
+    'editor.button.remove_stat': 'Statistiek verwijderen',
+    'editor.field.name': 'Kaartnaam',
+    'editor.field.show_name': 'Naam weergeven',
+    'editor.field.name_template': 'OF kaartnaam-template (Jinja)',
+    'editor.field.decimal_places': 'Decimalen',
+    'editor.field.layout': 'Weergave',
+    'editor.option.layout.rings': 'Ringen',
+    'editor.option.layout.bar': 'Horizontale balken',
+    'editor.field.gauge_thickness': 'Ringdikte van de meter (%)',
+    'editor.field.gauge_track_colour': 'Kleur van de meterbaan',
+    'editor.field.power_gauge_scale': 'Grootte vermogensmeter t.o.v. hoofdmeter (%)',
+    'editor.field.header_style': 'Kopstijl',
+    'editor.option.header_style.full': 'Volledige kop',
+    'editor.option.header_style.title': 'Alleen titel',
+    'editor.option.header_style.none': 'Geen titel',
+    'editor.field.show_runtime': 'Looptijd/leegtijd tonen',
+    'editor.field.power_average_minutes': 'Vermogen middelen over (minuten, 0 = uit)',
+    'editor.field.runtime_estimate': 'Looptijdschatting (bij middelen)',
+    'editor.option.runtime_estimate.average': 'Gemiddeld vermogen',
+    'editor.option.runtime_estimate.now': 'Huidig vermogen',
+    'editor.option.runtime_estimate.both': 'Beide',
+    'editor.field.date_format': 'Datumnotatie',
+    'editor.option.date_format.auto': 'Auto (HA-landinstelling)',
+    'editor.field.time_format': 'Tijdnotatie',
+    'editor.option.time_format.auto': 'Auto (HA-landinstelling)',
+    'editor.option.time_format.24': '24 uur',
+    'editor.option.time_format.12': '12 uur',
+    'editor.field.show_rates': 'Vermogensmeter tonen (laad-/ontlaadvermogen)',
+    'editor.field.show_rate_labels': 'Labels max. laden/ontladen tonen',
+    'editor.field.show_power_percent': 'Vermogenspercentage tonen',
+    'editor.field.show_power_direction': 'Vermogensrichting tonen',
+    'editor.field.show_gauge_labels': 'Labels reserve/laadgrens tonen',
+    'editor.field.interactive_markers': 'Reserve-/laadgrensmarkeringen slepen om ze in te stellen (number-entiteiten)',
+    'editor.field.marker_confirmation': 'Bevestigen voordat een gesleepte markering wordt ingesteld',
+    'editor.field.mode_dropdown': 'Modus kiezen uit een keuzelijst (select-entiteiten)',
+    'editor.field.mode_confirmation': 'Bevestigen voordat de modus wijzigt',
+    'editor.field.gauge_label_position': 'Positie labels reserve/laadgrens',
+    'editor.option.gauge_label_position.above': 'Boven de meter',
+    'editor.option.gauge_label_position.below': 'Onder de meter',
+    'editor.field.show_capacity': 'Capaciteit in de kop tonen',
+    'editor.field.show_energy_value': 'Opgeslagen waarde / kosten tot vol in koptekst tonen (met prijs)',
+    'editor.field.show_stats': 'Statistiekenpaneel tonen (temp./cycli/gezondheid)',
+    'editor.field.show_packs': 'Rij per accupakket tonen (multi-pack)',
+    'editor.field.show_history': 'SOC-geschiedenis als sparkline tonen',
+    'editor.field.history_hours': 'Geschiedenisvenster (uren)',
+    'editor.field.history_show_power': 'Vermogen in geschiedenis tonen',
+    'editor.field.show_energy_today': 'Vandaag geladen/ontladen energie tonen',
+    'editor.field.show_schedule_strip': 'Planningsbalk tonen (met planningsentiteiten)',
+    'editor.field.show_cells': 'Celspanningen tonen (met celentiteiten)',
+    'editor.field.soc_entity': 'SOC-entiteit',
+    'editor.field.power_entity': 'Vermogensentiteit',
+    'editor.field.charge_power_entity': 'OF laadvermogen-entiteit (zonder teken)',
+    'editor.field.discharge_power_entity': '+ ontlaadvermogen-entiteit (zonder teken)',
+    'editor.field.invert_power': 'Vermogenswaarde omkeren',
+    'editor.field.voltage_entity': 'OF spanningsentiteit',
+    'editor.field.current_entity': '× stroomentiteit',
+    'editor.field.invert_current': 'Stroom omkeren (positief bij ontladen)',
+    'editor.field.state_entity': 'Status-entiteit (vervangt automatisch)',
+    'editor.field.state_template': 'OF status-template (Jinja)',
+    'editor.field.mode_entity': 'Modus-entiteit (bijv. input_select)',
+    'editor.field.mode_template': 'OF modus-template (Jinja)',
+    'editor.field.soc_energy_entity': 'SOC-energie-entiteit',
+    'editor.field.charge_energy_entity': 'Laadenergie-entiteit (totaal)',
+    'editor.field.discharge_energy_entity': 'Ontlaadenergie-entiteit (totaal)',
+    'editor.field.capacity_entity': 'Capaciteitsentiteit',
+    'editor.field.capacity': 'OF vaste capaciteit (kWh)',
+    'editor.field.nominal_voltage': 'Nominale spanning (V, voor capaciteit in Ah)',
+    'editor.field.reserve_entity': 'Reserve-entiteit',
+    'editor.field.reserve': 'OF vaste reserve (%)',
+    'editor.field.charge_rate_entity': 'Entiteit max. laadvermogen',
+    'editor.field.charge_rate': 'OF vast max. laadvermogen (W)',
+    'editor.field.discharge_rate_entity': 'Entiteit max. ontlaadvermogen',
+    'editor.field.discharge_rate': 'OF vast max. ontlaadvermogen (W)',
+    'editor.field.cutoff_entity': 'Laadgrens-entiteit (max. lading %)',
+    'editor.field.cutoff': 'OF vaste laadgrens (%)',
+    'editor.field.solar_forecast_entity': 'Zonneprognose-entiteit (Solcast / Forecast.Solar)',
+    'editor.field.house_load_entity': 'Huisverbruik-entiteit',
+    'editor.field.house_load': 'OF vast huisverbruik (W)',
+    'editor.field.solar_power_entity': 'Zonnevermogen-entiteit (verdeling laadbron)',
+    'editor.field.grid_power_entity': 'Netvermogen-entiteit (positief bij afname)',
+    'editor.field.invert_grid_power': 'Netvermogen omkeren (positief bij teruglevering)',
+    'editor.field.price_entity': 'Energieprijs-entiteit (huidige afnameprijs)',
+    'editor.field.stored_energy_price': 'Prijs van opgeslagen energie (per kWh)',
+    'editor.field.charge_efficiency': 'Laadrendement (%)',
+    'editor.field.schedule_entities': 'Laadplanning-entiteiten (schedule / calendar / time)',
+    'editor.field.entity': 'Entiteit',
+    'editor.field.label': 'Label (standaard de entiteitsnaam)',
+    'editor.field.unit': 'Eenheid (vervangt die van de entiteit)',
+    'editor.field.precision': 'Decimalen',
+    'editor.field.field': 'Meting voor voorwaarden (optioneel)',
+    'editor.option.field.temp': 'Temperatuur',
+    'editor.option.field.cycles': 'Cycli',
+    'editor.option.field.health': 'Gezondheid',
+    'editor.field.cell_voltage_entities': 'Celspanning-entiteiten',
+    'editor.field.cell_temp_entities': 'Celtemperatuur-entiteiten',
+    'editor.field.cell_delta_warning': 'Waarschuwing celverschil (mV)',
+    'editor.field.soc_colour_mode': 'Kleurmodus',
+    'editor.option.soc_colour_mode.step': 'Stappen (kleur van het niveau)',
+    'editor.option.soc_colour_mode.gradient': 'Verloop (mengen tussen niveaus)',
+    'editor.field.soc_gradient_arc': 'Ring als verloop tekenen (verloopmodus)',
+    'editor.field.from': 'Vanaf (%)',
+    'editor.field.colour': 'Kleur',
+    'editor.field.colour_variable': 'CSS-variabelenaam (bijv. --success-color)',
+    'editor.field.icon': 'Icoon (optioneel)',
+    'editor.field.enable_trickle_charge_filter': 'Druppellaadfilter inschakelen',
+    'editor.field.trickle_charge_threshold': 'Filterdrempel (W)',
+    'editor.element.soc_gauge': 'SOC-meter',
+    'editor.element.power_gauge': 'Vermogensmeter',
+    'editor.element.title': 'Titel',
+    'editor.element.mode': 'Modus / tandwiel',
+    'editor.element.state_row': 'Statusregel',
+    'editor.element.temp_stat': 'Temperatuurwaarde',
+    'editor.element.cycles_stat': 'Cycluswaarde',
+    'editor.element.health_stat': 'Gezondheidswaarde',
+    'editor.field.tap_action': 'Tikactie',
+    'editor.field.hold_action': 'Vasthoudactie',
+    'editor.field.double_tap_action': 'Dubbeltikactie',
+  },
+  es: {
+    'state.charging': 'Cargando',
+    'state.discharging': 'Descargando',
+    'state.idle': 'En reposo',
+    'direction.charge': 'Carga',
+    'direction.discharge': 'Descarga',
+    'direction.idle': 'Reposo',
+    'header.mode': 'Modo: {mode}',
+    'header.capacity': 'Capacidad: {value}',
+    'header.charge_sources': '☀ {solar}% / red {grid}%',
+    'header.stored': 'Almacenado: {value}',
+    'header.cost_to_full': 'Coste hasta lleno: {value}',
+    'stats.temp': 'Temp. batería:',
+    'stats.cycles': 'Ciclos batería:',
+    'stats.health': 'Salud batería:',
+    'gauge.reserve': 'Reserva {pct}%',
+    'gauge.cutoff': 'Límite {pct}%',
+    'marker.confirm': '¿Establecer {setting}?',
+    'mode.confirm': '¿Cambiar el modo de la batería a {mode}?',
+    'rate.max_charge': 'Carga máx.',
+    'rate.max_discharge': 'Descarga máx.',
+    'footer.runtime': 'Autonomía: {duration}',
+    'footer.depletes_at': 'Se agota a las: {eta}',
+    'footer.pct_at': '{pct}% a las: {eta}',
+    'footer.time_to_pct': 'Tiempo hasta {pct}%: {duration}',
+    'footer.time_to_full': 'Tiempo hasta lleno: {duration}',
+    'footer.full_at': 'Llena a las: {eta}',
+    'footer.now': 'Ahora — {estimate}',
+    'footer.average': 'Media {minutes} min — {estimate}',
+    'footer.solar_no_cutoff': 'No llegará al límite hoy (máx. ~{pct}%)',
+    'footer.solar_no_full': 'No se llenará hoy (máx. ~{pct}%)',
+    'schedule.charge': 'Carga forzada',
+    'schedule.discharge': 'Descarga forzada',
+    'schedule.until': '{label} hasta las {time}',
+    'schedule.starts_in': 'Próxima {label} en {duration}',
+    'schedule.now': 'Ahora',
+    'energy.in_today': 'Cargado hoy:',
+    'energy.out_today': 'Descargado hoy:',
+    'energy.efficiency': 'Eficiencia:',
+    'gauge.soc_derived': 'Calculado a partir de la energía almacenada y la capacidad',
+    'cells.cell': 'Celda {n}',
+    'cells.min': 'Mín:',
+    'cells.max': 'Máx:',
+    'cells.delta': 'Diferencia:',
+    'cells.temp': 'Temp.:',
+    'pack.name': 'Batería {n}',
+    'error.read': 'No se pueden leer los valores de los sensores',
+    'warning.unit.W': '{entity} informa {unit}, no es una unidad de potencia; se ignora',
+    'warning.unit.Wh': '{entity} informa {unit}, no es una unidad de energía; se ignora',
+    'warning.unit.Ah': '{entity} informa {unit}; define nominal_voltage para convertirlo en energía',
+    'warning.unit.V': '{entity} informa {unit}, no es una unidad de tensión; se ignora',
+    'warning.unit.A': '{entity} informa {unit}, no es una unidad de corriente; se ignora',
+    'loading': 'Cargando...',
+    'preview.configure': 'Configura las entidades para empezar',
+    'editor.tab.general': 'General',
+    'editor.tab.entities': 'Entidades',
+    'editor.tab.stats': 'Estadísticas',
+    'editor.tab.soc': 'Colores SOC',
+    'editor.tab.filters': 'Filtros',
+    'editor.tab.actions': 'Acciones',
+    'editor.help.entities': 'Para valores fijos (capacidad, reserva, potencias, límite), selecciona una entidad O introduce un valor fijo. Los valores fijos tienen prioridad.',
+    'editor.help.stats': 'Entidades que se muestran en el panel de estadísticas, arriba a la derecha, en este orden. El panel solo aparece si al menos una tiene valor.',
+    'editor.help.cells': 'Sensores de tensión de celda para la franja de celdas bajo los indicadores, en orden de celda. En YAML cada lista puede ser un patrón, como sensor.bms_cell_*_voltage.',
+    'editor.help.soc': 'El color (y el icono opcional) de cada nivel se aplica desde su porcentaje hasta el siguiente nivel. El nivel más bajo cubre también todo lo que esté por debajo.',
+    'editor.help.actions': 'Qué hace tocar, mantener pulsado o tocar dos veces cada parte de la tarjeta. Por defecto, tocar abre la entidad del elemento y no hay nada más asignado.',
+    'editor.button.add_level': 'Añadir nivel',
+    'editor.button.remove_level': 'Eliminar nivel',
+    'editor.button.add_stat': 'Añadir estadística',
+    'editor.button.remove_stat': 'Eliminar estadística',
+    'editor.field.name': 'Nombre de la tarjeta',
+    'editor.field.show_name': 'Mostrar nombre',
+    'editor.field.name_template': 'O plantilla del nombre de la tarjeta (Jinja)',
+    'editor.field.decimal_places': 'Decimales',
+    'editor.field.layout': 'Diseño',
+    'editor.option.layout.rings': 'Anillos',
+    'editor.option.layout.bar': 'Barras horizontales',
+    'editor.field.gauge_thickness': 'Grosor del anillo (%)',
+    'editor.field.gauge_track_colour': 'Color del fondo del anillo',
+    'editor.field.power_gauge_scale': 'Tamaño del indicador de potencia frente al principal (%)',
+    'editor.field.header_style': 'Estilo de cabecera',
+    'editor.option.header_style.full': 'Cabecera completa',
+    'editor.option.header_style.title': 'Solo título',
+    'editor.option.header_style.none': 'Sin título',
+    'editor.field.show_runtime': 'Mostrar autonomía / hora de agotamiento',
+    'editor.field.power_average_minutes': 'Promediar potencia durante (minutos, 0 = no)',
+    'editor.field.runtime_estimate': 'Estimación de autonomía (con promedio)',
+    'editor.option.runtime_estimate.average': 'Potencia media',
+    'editor.option.runtime_estimate.now': 'Potencia actual',
+    'editor.option.runtime_estimate.both': 'Ambas',
+    'editor.field.date_format': 'Formato de fecha',
+    'editor.option.date_format.auto': 'Auto (idioma de HA)',
+    'editor.field.time_format': 'Formato de hora',
+    'editor.option.time_format.auto': 'Auto (idioma de HA)',
+    'editor.option.time_format.24': '24 horas',
+    'editor.option.time_format.12': '12 horas',
+    'editor.field.show_rates': 'Mostrar indicador de potencia (carga/descarga)',
+    'editor.field.show_rate_labels': 'Mostrar etiquetas de carga/descarga máx.',
+    'editor.field.show_power_percent': 'Mostrar porcentaje de potencia',
+    'editor.field.show_power_direction': 'Mostrar dirección de la potencia',
+    'editor.field.show_gauge_labels': 'Mostrar etiquetas de reserva/límite',
+    'editor.field.interactive_markers': 'Arrastrar los marcadores de reserva/límite para ajustarlos (entidades number)',
+    'editor.field.marker_confirmation': 'Confirmar antes de aplicar un marcador arrastrado',
+    'editor.field.mode_dropdown': 'Elegir el modo en una lista desplegable (entidades select)',
+    'editor.field.mode_confirmation': 'Confirmar antes de cambiar el modo',
+    'editor.field.gauge_label_position': 'Posición de las etiquetas de reserva/límite',
+    'editor.option.gauge_label_position.above': 'Encima del indicador',
+    'editor.option.gauge_label_position.below': 'Debajo del indicador',
+    'editor.field.show_capacity': 'Mostrar capacidad en la cabecera',
+    'editor.field.show_energy_value': 'Mostrar valor almacenado / coste hasta lleno en el encabezado (con precio)',
+    'editor.field.show_stats': 'Mostrar panel de estadísticas (temp./ciclos/salud)',
+    'editor.field.show_packs': 'Mostrar filas por módulo (multimódulo)',
+    'editor.field.show_history': 'Mostrar historial de SOC (minigráfico)',
+    'editor.field.history_hours': 'Ventana del historial (horas)',
+    'editor.field.history_show_power': 'Incluir potencia en el historial',
+    'editor.field.show_energy_today': 'Mostrar energía cargada/descargada hoy',
+    'editor.field.show_schedule_strip': 'Mostrar franja de programación (con entidades de programa)',
+    'editor.field.show_cells': 'Mostrar tensiones de celda (con entidades de celda)',
+    'editor.field.soc_entity': 'Entidad de SOC',
+    'editor.field.power_entity': 'Entidad de potencia',
+    'editor.field.charge_power_entity': 'O entidad de potencia de carga (sin signo)',
+    'editor.field.discharge_power_entity': '+ entidad de potencia de descarga (sin signo)',
+    'editor.field.invert_power': 'Invertir valor de potencia',
+    'editor.field.voltage_entity': 'O entidad de tensión',
+    'editor.field.current_entity': '× entidad de corriente',
+    'editor.field.invert_current': 'Invertir corriente (positiva al descargar)',
+    'editor.field.state_entity': 'Entidad de estado (sustituye la detección)',
+    'editor.field.state_template': 'O plantilla de estado (Jinja)',
+    'editor.field.mode_entity': 'Entidad de modo (p. ej. input_select)',
+    'editor.field.mode_template': 'O plantilla de modo (Jinja)',
+    'editor.field.soc_energy_entity': 'Entidad de energía SOC',
+    'editor.field.charge_energy_entity': 'Entidad de energía cargada (total)',
+    'editor.field.discharge_energy_entity': 'Entidad de energía descargada (total)',
+    'editor.field.capacity_entity': 'Entidad de capacidad',
+    'editor.field.capacity': 'O capacidad fija (kWh)',
+    'editor.field.nominal_voltage': 'Tensión nominal (V, para capacidad en Ah)',
+    'editor.field.reserve_entity': 'Entidad de reserva',
+    'editor.field.reserve': 'O reserva fija (%)',
+    'editor.field.charge_rate_entity': 'Entidad de potencia de carga máx.',
+    'editor.field.charge_rate': 'O potencia de carga máx. fija (W)',
+    'editor.field.discharge_rate_entity': 'Entidad de potencia de descarga máx.',
+    'editor.field.discharge_rate': 'O potencia de descarga máx. fija (W)',
+    'editor.field.cutoff_entity': 'Entidad de límite (carga máx. %)',
+    'editor.field.cutoff': 'O límite fijo (%)',
+    'editor.field.solar_forecast_entity': 'Entidad de previsión solar (Solcast / Forecast.Solar)',
+    'editor.field.house_load_entity': 'Entidad de consumo de la casa',
+    'editor.field.house_load': 'O consumo fijo de la casa (W)',
+    'editor.field.solar_power_entity': 'Entidad de potencia solar (reparto de la fuente de carga)',
+    'editor.field.grid_power_entity': 'Entidad de potencia de red (positiva al importar)',
+    'editor.field.invert_grid_power': 'Invertir potencia de red (positiva al exportar)',
+    'editor.field.price_entity': 'Entidad de precio de la energía (precio de compra actual)',
+    'editor.field.stored_energy_price': 'Precio de la energía almacenada (por kWh)',
+    'editor.field.charge_efficiency': 'Eficiencia de carga (%)',
+    'editor.field.schedule_entities': 'Entidades de programa de carga (schedule / calendar / time)',
+    'editor.field.entity': 'Entidad',
+    'editor.field.label': 'Etiqueta (por defecto, el nombre de la entidad)',
+    'editor.field.unit': 'Unidad (sustituye la de la entidad)',
+    'editor.field.precision': 'Decimales',
+    'editor.field.field': 'Lectura para condiciones (opcional)',
+    'editor.option.field.temp': 'Temperatura',
+    'editor.option.field.cycles': 'Ciclos',
+    'editor.option.field.health': 'Salud',
+    'editor.field.cell_voltage_entities': 'Entidades de tensión de celda',
+    'editor.field.cell_temp_entities': 'Entidades de temperatura de celda',
+    'editor.field.cell_delta_warning': 'Aviso de diferencia entre celdas (mV)',
+    'editor.field.soc_colour_mode': 'Modo de color',
+    'editor.option.soc_colour_mode.step': 'Escalonado (color del nivel)',
+    'editor.option.soc_colour_mode.gradient': 'Degradado (mezcla entre niveles)',
+    'editor.field.soc_gradient_arc': 'Pintar el anillo como degradado (modo degradado)',
+    'editor.field.from': 'Desde (%)',
+    'editor.field.colour': 'Color',
+    'editor.field.colour_variable': 'Nombre de variable CSS (p. ej. --success-color)',
+    'editor.field.icon': 'Icono (opcional)',
+    'editor.field.enable_trickle_charge_filter': 'Activar filtro de carga de mantenimiento',
+    'editor.field.trickle_charge_threshold': 'Umbral del filtro (W)',
+    'editor.element.soc_gauge': 'Indicador de SOC',
+    'editor.element.power_gauge': 'Indicador de potencia',
+    'editor.element.title': 'Título',
+    'editor.element.mode': 'Modo / engranaje',
+    'editor.element.state_row': 'Fila de estado',
+    'editor.element.temp_stat': 'Estadística de temperatura',
+    'editor.element.cycles_stat': 'Estadística de ciclos',
+    'editor.element.health_stat': 'Estadística de salud',
+    'editor.field.tap_action': 'Acción al tocar',
+    'editor.field.hold_action': 'Acción al mantener',
+    'editor.field.double_tap_action': 'Acción al tocar dos veces',
+  },
+  it: {
+    'state.charging': 'In carica',
+    'state.discharging': 'In scarica',
+    'state.idle': 'Inattiva',
+    'direction.charge': 'Carica',
+    'direction.discharge': 'Scarica',
+    'direction.idle': 'Inattiva',
+    'header.mode': 'Modalità: {mode}',
+    'header.capacity': 'Capacità: {value}',
+    'header.charge_sources': '☀ {solar}% / rete {grid}%',
+    'header.stored': 'Accumulato: {value}',
+    'header.cost_to_full': 'Costo fino al pieno: {value}',
+    'stats.temp': 'Temp. batteria:',
+    'stats.cycles': 'Cicli batteria:',
+    'stats.health': 'Salute batteria:',
+    'gauge.reserve': 'Riserva {pct}%',
+    'gauge.cutoff': 'Limite {pct}%',
+    'marker.confirm': 'Impostare {setting}?',
+    'mode.confirm': 'Passare la modalità della batteria a {mode}?',
+    'rate.max_charge': 'Carica max',
+    'rate.max_discharge': 'Scarica max',
+    'footer.runtime': 'Autonomia: {duration}',
+    'footer.depletes_at': 'Scarica alle: {eta}',
+    'footer.pct_at': '{pct}% alle: {eta}',
+    'footer.time_to_pct': 'Tempo al {pct}%: {duration}',
+    'footer.time_to_full': 'Tempo alla carica completa: {duration}',
+    'footer.full_at': 'Carica alle: {eta}',
+    'footer.now': 'Ora — {estimate}',
+    'footer.average': 'Media {minutes} min — {estimate}',
+    'footer.solar_no_cutoff': 'Oggi non raggiungerà il limite (max ~{pct}%)',
+    'footer.solar_no_full': 'Oggi non si caricherà completamente (max ~{pct}%)',
+    'schedule.charge': 'Carica forzata',
+    'schedule.discharge': 'Scarica forzata',
+    'schedule.until': '{label} fino alle {time}',
+    'schedule.starts_in': 'Prossima {label} tra {duration}',
+    'schedule.now': 'Ora',
+    'energy.in_today': 'Caricata oggi:',
+    'energy.out_today': 'Scaricata oggi:',
+    'energy.efficiency': 'Efficienza:',
+    'gauge.soc_derived': 'Calcolato da energia accumulata e capacità',
+    'cells.cell': 'Cella {n}',
+    'cells.min': 'Min:',
+    'cells.max': 'Max:',
+    'cells.delta': 'Delta:',
+    'cells.temp': 'Temp.:',
+    'pack.name': 'Batteria {n}',
+    'error.read': 'Impossibile leggere i valori dei sensori',
+    'warning.unit.W': '{entity} riporta {unit}, non un\'unità di potenza; ignorato',
+    'warning.unit.Wh': '{entity} riporta {unit}, non un\'unità di energia; ignorato',
+    'warning.unit.Ah': '{entity} riporta {unit}; imposta nominal_voltage per convertirlo in energia',
+    'warning.unit.V': '{entity} riporta {unit}, non un\'unità di tensione; ignorato',
+    'warning.unit.A': '{entity} riporta {unit}, non un\'unità di corrente; ignorato',
+    'loading': 'Caricamento...',
+    'preview.configure': 'Configura le entità per iniziare',
+    'editor.tab.general': 'Generale',
+    'editor.tab.entities': 'Entità',
+    'editor.tab.stats': 'Statistiche',
+    'editor.tab.soc': 'Colori SOC',
+    'editor.tab.filters': 'Filtri',
+    'editor.tab.actions': 'Azioni',
+    'editor.help.entities': 'Per i valori fissi (capacità, riserva, potenze, limite) seleziona un’entità OPPURE inserisci un valore fisso. I valori fissi hanno la precedenza.',
+    'editor.help.stats': 'Entità mostrate nel pannello statistiche in alto a destra, in quest’ordine. Il pannello compare solo se almeno una ha un valore.',
+    'editor.help.cells': 'Sensori di tensione delle celle per la barra delle celle sotto gli indicatori, in ordine di cella. In YAML ogni elenco può essere invece un modello, come sensor.bms_cell_*_voltage.',
+    'editor.help.soc': 'Il colore (e l’icona facoltativa) di un livello vale dalla sua percentuale fino al livello successivo. Il livello più basso copre anche tutto ciò che sta sotto.',
+    'editor.help.actions': 'Cosa fa toccare, tenere premuto o toccare due volte ogni parte della scheda. Per impostazione predefinita un tocco apre l’entità dell’elemento e nient’altro è assegnato.',
+    'editor.button.add_level': 'Aggiungi livello',
+    'editor.button.remove_level': 'Rimuovi livello',
+    'editor.button.add_stat': 'Aggiungi statistica',
+    'editor.button.remove_stat': 'Rimuovi statistica',
+    'editor.field.name': 'Nome della scheda',
+    'editor.field.show_name': 'Mostra nome',
+    'editor.field.name_template': 'OPPURE template del nome della scheda (Jinja)',
+    'editor.field.decimal_places': 'Cifre decimali',
+    'editor.field.layout': 'Layout',
+    'editor.option.layout.rings': 'Anelli',
+    'editor.option.layout.bar': 'Barre orizzontali',
+    'editor.field.gauge_thickness': 'Spessore dell’anello (%)',
+    'editor.field.gauge_track_colour': 'Colore del fondo dell’anello',
+    'editor.field.power_gauge_scale': 'Dimensione indicatore potenza rispetto al principale (%)',
+    'editor.field.header_style': 'Stile intestazione',
+    'editor.option.header_style.full': 'Intestazione completa',
+    'editor.option.header_style.title': 'Solo titolo',
+    'editor.option.header_style.none': 'Nessun titolo',
+    'editor.field.show_runtime': 'Mostra autonomia / ora di scarica',
+    'editor.field.power_average_minutes': 'Media potenza su (minuti, 0 = off)',
+    'editor.field.runtime_estimate': 'Stima autonomia (con media)',
+    'editor.option.runtime_estimate.average': 'Potenza media',
+    'editor.option.runtime_estimate.now': 'Potenza attuale',
+    'editor.option.runtime_estimate.both': 'Entrambe',
+    'editor.field.date_format': 'Formato data',
+    'editor.option.date_format.auto': 'Auto (lingua HA)',
+    'editor.field.time_format': 'Formato ora',
+    'editor.option.time_format.auto': 'Auto (lingua HA)',
+    'editor.option.time_format.24': '24 ore',
+    'editor.option.time_format.12': '12 ore',
+    'editor.field.show_rates': 'Mostra indicatore di potenza (carica/scarica)',
+    'editor.field.show_rate_labels': 'Mostra etichette carica/scarica max',
+    'editor.field.show_power_percent': 'Mostra percentuale di potenza',
+    'editor.field.show_power_direction': 'Mostra direzione della potenza',
+    'editor.field.show_gauge_labels': 'Mostra etichette riserva/limite',
+    'editor.field.interactive_markers': 'Trascina gli indicatori di riserva/limite per impostarli (entità number)',
+    'editor.field.marker_confirmation': 'Conferma prima di applicare un indicatore trascinato',
+    'editor.field.mode_dropdown': 'Scegli la modalità da un menu a tendina (entità select)',
+    'editor.field.mode_confirmation': 'Conferma prima di cambiare modalità',
+    'editor.field.gauge_label_position': 'Posizione etichette riserva/limite',
+    'editor.option.gauge_label_position.above': 'Sopra l’indicatore',
+    'editor.option.gauge_label_position.below': 'Sotto l’indicatore',
+    'editor.field.show_capacity': 'Mostra capacità nell’intestazione',
+    'editor.field.show_energy_value': 'Mostra valore accumulato / costo fino al pieno nell’intestazione (con prezzo)',
+    'editor.field.show_stats': 'Mostra pannello statistiche (temp./cicli/salute)',
+    'editor.field.show_packs': 'Mostra righe per pacco (multi-pacco)',
+    'editor.field.show_history': 'Mostra cronologia SOC (sparkline)',
+    'editor.field.history_hours': 'Finestra cronologia (ore)',
+    'editor.field.history_show_power': 'Includi potenza nella cronologia',
+    'editor.field.show_energy_today': 'Mostra energia caricata/scaricata oggi',
+    'editor.field.show_schedule_strip': 'Mostra barra della programmazione (con entità di programma)',
+    'editor.field.show_cells': 'Mostra tensioni delle celle (con entità delle celle)',
+    'editor.field.soc_entity': 'Entità SOC',
+    'editor.field.power_entity': 'Entità di potenza',
+    'editor.field.charge_power_entity': 'OPPURE entità potenza di carica (senza segno)',
+    'editor.field.discharge_power_entity': '+ entità potenza di scarica (senza segno)',
+    'editor.field.invert_power': 'Inverti valore di potenza',
+    'editor.field.voltage_entity': 'O entità di tensione',
+    'editor.field.current_entity': '× entità di corrente',
+    'editor.field.invert_current': 'Inverti corrente (positiva in scarica)',
+    'editor.field.state_entity': 'Entità di stato (sostituisce il rilevamento)',
+    'editor.field.state_template': 'OPPURE template dello stato (Jinja)',
+    'editor.field.mode_entity': 'Entità modalità (es. input_select)',
+    'editor.field.mode_template': 'OPPURE template della modalità (Jinja)',
+    'editor.field.soc_energy_entity': 'Entità energia SOC',
+    'editor.field.charge_energy_entity': 'Entità energia caricata (totale)',
+    'editor.field.discharge_energy_entity': 'Entità energia scaricata (totale)',
+    'editor.field.capacity_entity': 'Entità capacità',
+    'editor.field.capacity': 'OPPURE capacità fissa (kWh)',
+    'editor.field.nominal_voltage': 'Tensione nominale (V, per capacità in Ah)',
+    'editor.field.reserve_entity': 'Entità riserva',
+    'editor.field.reserve': 'OPPURE riserva fissa (%)',
+    'editor.field.charge_rate_entity': 'Entità potenza di carica max',
+    'editor.field.charge_rate': 'OPPURE potenza di carica max fissa (W)',
+    'editor.field.discharge_rate_entity': 'Entità potenza di scarica max',
+    'editor.field.discharge_rate': 'OPPURE potenza di scarica max fissa (W)',
+    'editor.field.cutoff_entity': 'Entità limite (carica max %)',
+    'editor.field.cutoff': 'OPPURE limite fisso (%)',
+    'editor.field.solar_forecast_entity': 'Entità previsione solare (Solcast / Forecast.Solar)',
+    'editor.field.house_load_entity': 'Entità consumo casa',
+    'editor.field.house_load': 'OPPURE consumo casa fisso (W)',
+    'editor.field.solar_power_entity': 'Entità potenza solare (ripartizione fonte di carica)',
+    'editor.field.grid_power_entity': 'Entità potenza di rete (positiva in prelievo)',
+    'editor.field.invert_grid_power': 'Inverti potenza di rete (positiva in immissione)',
+    'editor.field.price_entity': 'Entità prezzo energia (prezzo di acquisto attuale)',
+    'editor.field.stored_energy_price': 'Prezzo dell’energia accumulata (per kWh)',
+    'editor.field.charge_efficiency': 'Efficienza di carica (%)',
+    'editor.field.schedule_entities': 'Entità programma di carica (schedule / calendar / time)',
+    'editor.field.entity': 'Entità',
+    'editor.field.label': 'Etichetta (predefinita: nome dell’entità)',
+    'editor.field.unit': 'Unità (sostituisce quella dell’entità)',
+    'editor.field.precision': 'Cifre decimali',
+    'editor.field.field': 'Lettura per le condizioni (opzionale)',
+    'editor.option.field.temp': 'Temperatura',
+    'editor.option.field.cycles': 'Cicli',
+    'editor.option.field.health': 'Salute',
+    'editor.field.cell_voltage_entities': 'Entità tensione celle',
+    'editor.field.cell_temp_entities': 'Entità temperatura celle',
+    'editor.field.cell_delta_warning': 'Avviso differenza tra celle (mV)',
+    'editor.field.soc_colour_mode': 'Modalità colore',
+    'editor.option.soc_colour_mode.step': 'A gradini (colore del livello)',
+    'editor.option.soc_colour_mode.gradient': 'Sfumato (miscela tra livelli)',
+    'editor.field.soc_gradient_arc': 'Disegna l’anello sfumato (modalità sfumato)',
+    'editor.field.from': 'Da (%)',
+    'editor.field.colour': 'Colore',
+    'editor.field.colour_variable': 'Nome variabile CSS (es. --success-color)',
+    'editor.field.icon': 'Icona (facoltativa)',
+    'editor.field.enable_trickle_charge_filter': 'Attiva filtro carica di mantenimento',
+    'editor.field.trickle_charge_threshold': 'Soglia del filtro (W)',
+    'editor.element.soc_gauge': 'Indicatore SOC',
+    'editor.element.power_gauge': 'Indicatore di potenza',
+    'editor.element.title': 'Titolo',
+    'editor.element.mode': 'Modalità / ingranaggio',
+    'editor.element.state_row': 'Riga di stato',
+    'editor.element.temp_stat': 'Statistica temperatura',
+    'editor.element.cycles_stat': 'Statistica cicli',
+    'editor.element.health_stat': 'Statistica salute',
+    'editor.field.tap_action': 'Azione al tocco',
+    'editor.field.hold_action': 'Azione tenendo premuto',
+    'editor.field.double_tap_action': 'Azione doppio tocco',
+  },
+  pl: {
+    'state.charging': 'Ładowanie',
+    'state.discharging': 'Rozładowywanie',
+    'state.idle': 'Bezczynny',
+    'direction.charge': 'Ładowanie',
+    'direction.discharge': 'Rozładowanie',
+    'direction.idle': 'Bezczynny',
+    'header.mode': 'Tryb: {mode}',
+    'header.capacity': 'Pojemność: {value}',
+    'header.charge_sources': '☀ {solar}% / sieć {grid}%',
+    'header.stored': 'Zmagazynowane: {value}',
+    'header.cost_to_full': 'Koszt do pełna: {value}',
+    'stats.temp': 'Temp. baterii:',
+    'stats.cycles': 'Cykle baterii:',
+    'stats.health': 'Kondycja baterii:',
+    'gauge.reserve': 'Rezerwa {pct}%',
+    'gauge.cutoff': 'Limit {pct}%',
+    'marker.confirm': 'Ustawić {setting}?',
+    'mode.confirm': 'Przełączyć tryb baterii na {mode}?',
+    'rate.max_charge': 'Maks. ładowanie',
+    'rate.max_discharge': 'Maks. rozładowanie',
+    'footer.runtime': 'Czas pracy: {duration}',
+    'footer.depletes_at': 'Rozładowana o: {eta}',
+    'footer.pct_at': '{pct}% o: {eta}',
+    'footer.time_to_pct': 'Czas do {pct}%: {duration}',
+    'footer.time_to_full': 'Czas do pełna: {duration}',
+    'footer.full_at': 'Pełna o: {eta}',
+    'footer.now': 'Teraz — {estimate}',
+    'footer.average': 'Śr. {minutes} min — {estimate}',
+    'footer.solar_no_cutoff': 'Dziś nie osiągnie limitu (maks. ~{pct}%)',
+    'footer.solar_no_full': 'Dziś nie naładuje się do pełna (maks. ~{pct}%)',
+    'schedule.charge': 'Wymuszone ładowanie',
+    'schedule.discharge': 'Wymuszone rozładowanie',
+    'schedule.until': '{label} do {time}',
+    'schedule.starts_in': 'Następne {label} za {duration}',
+    'schedule.now': 'Teraz',
+    'energy.in_today': 'Naładowano dziś:',
+    'energy.out_today': 'Rozładowano dziś:',
+    'energy.efficiency': 'Sprawność:',
+    'gauge.soc_derived': 'Obliczony z zgromadzonej energii i pojemności',
+    'cells.cell': 'Ogniwo {n}',
+    'cells.min': 'Min:',
+    'cells.max': 'Maks:',
+    'cells.delta': 'Różnica:',
+    'cells.temp': 'Temp.:',
+    'pack.name': 'Bateria {n}',
+    'error.read': 'Nie można odczytać wartości czujników',
+    'warning.unit.W': '{entity} podaje {unit}, a nie jednostkę mocy, więc jest pomijana',
+    'warning.unit.Wh': '{entity} podaje {unit}, a nie jednostkę energii, więc jest pomijana',
+    'warning.unit.Ah': '{entity} podaje {unit}; ustaw nominal_voltage, aby przeliczyć na energię',
+    'warning.unit.V': '{entity} podaje {unit}, a nie jednostkę napięcia, więc jest pomijana',
+    'warning.unit.A': '{entity} podaje {unit}, a nie jednostkę prądu, więc jest pomijana',
+    'loading': 'Ładowanie...',
+    'preview.configure': 'Skonfiguruj encje, aby rozpocząć',
+    'editor.tab.general': 'Ogólne',
+    'editor.tab.entities': 'Encje',
+    'editor.tab.stats': 'Statystyki',
+    'editor.tab.soc': 'Kolory SOC',
+    'editor.tab.filters': 'Filtry',
+    'editor.tab.actions': 'Akcje',
+    'editor.help.entities': 'Dla wartości stałych (pojemność, rezerwa, moce, limit) wybierz encję LUB wpisz stałą wartość. Wartości stałe mają pierwszeństwo.',
+    'editor.help.stats': 'Encje pokazywane w panelu statystyk w prawym górnym rogu, w tej kolejności. Panel pojawia się tylko, gdy co najmniej jedna ma wartość.',
+    'editor.help.cells': 'Czujniki napięcia ogniw dla paska ogniw pod wskaźnikami, w kolejności ogniw. W YAML każda lista może być wzorcem, np. sensor.bms_cell_*_voltage.',
+    'editor.help.soc': 'Kolor (i opcjonalna ikona) poziomu obowiązuje od jego wartości procentowej do następnego poziomu. Najniższy poziom obejmuje też wszystko poniżej.',
+    'editor.help.actions': 'Co robi dotknięcie, przytrzymanie lub podwójne dotknięcie każdej części karty. Domyślnie dotknięcie otwiera encję elementu, a nic innego nie jest przypisane.',
+    'editor.button.add_level': 'Dodaj poziom',
+    'editor.button.remove_level': 'Usuń poziom',
+    'editor.button.add_stat': 'Dodaj statystykę',
+    'editor.button.remove_stat': 'Usuń statystykę',
+    'editor.field.name': 'Nazwa karty',
+    'editor.field.show_name': 'Pokaż nazwę',
+    'editor.field.name_template': 'LUB szablon nazwy karty (Jinja)',
+    'editor.field.decimal_places': 'Miejsca dziesiętne',
+    'editor.field.layout': 'Układ',
+    'editor.option.layout.rings': 'Pierścienie',
+    'editor.option.layout.bar': 'Poziome paski',
+    'editor.field.gauge_thickness': 'Grubość pierścienia (%)',
+    'editor.field.gauge_track_colour': 'Kolor tła pierścienia',
+    'editor.field.power_gauge_scale': 'Rozmiar wskaźnika mocy względem głównego (%)',
+    'editor.field.header_style': 'Styl nagłówka',
+    'editor.option.header_style.full': 'Pełny nagłówek',
+    'editor.option.header_style.title': 'Tylko tytuł',
+    'editor.option.header_style.none': 'Bez tytułu',
+    'editor.field.show_runtime': 'Pokaż czas pracy / rozładowania',
+    'editor.field.power_average_minutes': 'Uśredniaj moc z (minut, 0 = wył.)',
+    'editor.field.runtime_estimate': 'Szacowanie czasu pracy (przy uśrednianiu)',
+    'editor.option.runtime_estimate.average': 'Średnia moc',
+    'editor.option.runtime_estimate.now': 'Bieżąca moc',
+    'editor.option.runtime_estimate.both': 'Obie',
+    'editor.field.date_format': 'Format daty',
+    'editor.option.date_format.auto': 'Auto (ustawienia HA)',
+    'editor.field.time_format': 'Format czasu',
+    'editor.option.time_format.auto': 'Auto (ustawienia HA)',
+    'editor.option.time_format.24': '24-godzinny',
+    'editor.option.time_format.12': '12-godzinny',
+    'editor.field.show_rates': 'Pokaż wskaźnik mocy (ładowanie/rozładowanie)',
+    'editor.field.show_rate_labels': 'Pokaż etykiety maks. ładowania/rozładowania',
+    'editor.field.show_power_percent': 'Pokaż procent mocy',
+    'editor.field.show_power_direction': 'Pokaż kierunek mocy',
+    'editor.field.show_gauge_labels': 'Pokaż etykiety rezerwy/limitu',
+    'editor.field.interactive_markers': 'Przeciągaj znaczniki rezerwy/limitu, aby je ustawić (encje number)',
+    'editor.field.marker_confirmation': 'Potwierdź przed ustawieniem przeciągniętego znacznika',
+    'editor.field.mode_dropdown': 'Wybierz tryb z listy (encje select)',
+    'editor.field.mode_confirmation': 'Potwierdź przed zmianą trybu',
+    'editor.field.gauge_label_position': 'Położenie etykiet rezerwy/limitu',
+    'editor.option.gauge_label_position.above': 'Nad wskaźnikiem',
+    'editor.option.gauge_label_position.below': 'Pod wskaźnikiem',
+    'editor.field.show_capacity': 'Pokaż pojemność w nagłówku',
+    'editor.field.show_energy_value': 'Pokaż wartość zmagazynowaną / koszt do pełna w nagłówku (z ceną)',
+    'editor.field.show_stats': 'Pokaż panel statystyk (temp./cykle/kondycja)',
+    'editor.field.show_packs': 'Pokaż wiersze pakietów (tryb wielu pakietów)',
+    'editor.field.show_history': 'Pokaż historię SOC (wykres)',
+    'editor.field.history_hours': 'Zakres historii (godziny)',
+    'editor.field.history_show_power': 'Uwzględnij moc w historii',
+    'editor.field.show_energy_today': 'Pokaż dzisiejszą energię ładowania/rozładowania',
+    'editor.field.show_schedule_strip': 'Pokaż pasek harmonogramu (z encjami harmonogramu)',
+    'editor.field.show_cells': 'Pokaż napięcia ogniw (z encjami ogniw)',
+    'editor.field.soc_entity': 'Encja SOC',
+    'editor.field.power_entity': 'Encja mocy',
+    'editor.field.charge_power_entity': 'LUB encja mocy ładowania (bez znaku)',
+    'editor.field.discharge_power_entity': '+ encja mocy rozładowania (bez znaku)',
+    'editor.field.invert_power': 'Odwróć wartość mocy',
+    'editor.field.voltage_entity': 'LUB encja napięcia',
+    'editor.field.current_entity': '× encja prądu',
+    'editor.field.invert_current': 'Odwróć prąd (dodatni przy rozładowaniu)',
+    'editor.field.state_entity': 'Encja stanu (zastępuje autodetekcję)',
+    'editor.field.state_template': 'LUB szablon stanu (Jinja)',
+    'editor.field.mode_entity': 'Encja trybu (np. input_select)',
+    'editor.field.mode_template': 'LUB szablon trybu (Jinja)',
+    'editor.field.soc_energy_entity': 'Encja energii SOC',
+    'editor.field.charge_energy_entity': 'Encja energii ładowania (suma)',
+    'editor.field.discharge_energy_entity': 'Encja energii rozładowania (suma)',
+    'editor.field.capacity_entity': 'Encja pojemności',
+    'editor.field.capacity': 'LUB stała pojemność (kWh)',
+    'editor.field.nominal_voltage': 'Napięcie nominalne (V, dla pojemności w Ah)',
+    'editor.field.reserve_entity': 'Encja rezerwy',
+    'editor.field.reserve': 'LUB stała rezerwa (%)',
+    'editor.field.charge_rate_entity': 'Encja maks. mocy ładowania',
+    'editor.field.charge_rate': 'LUB stała maks. moc ładowania (W)',
+    'editor.field.discharge_rate_entity': 'Encja maks. mocy rozładowania',
+    'editor.field.discharge_rate': 'LUB stała maks. moc rozładowania (W)',
+    'editor.field.cutoff_entity': 'Encja limitu (maks. naładowanie %)',
+    'editor.field.cutoff': 'LUB stały limit (%)',
+    'editor.field.solar_forecast_entity': 'Encja prognozy PV (Solcast / Forecast.Solar)',
+    'editor.field.house_load_entity': 'Encja zużycia domu',
+    'editor.field.house_load': 'LUB stałe zużycie domu (W)',
+    'editor.field.solar_power_entity': 'Encja mocy PV (podział źródła ładowania)',
+    'editor.field.grid_power_entity': 'Encja mocy sieci (dodatnia przy poborze)',
+    'editor.field.invert_grid_power': 'Odwróć moc sieci (dodatnia przy oddawaniu)',
+    'editor.field.price_entity': 'Encja ceny energii (bieżąca cena zakupu)',
+    'editor.field.stored_energy_price': 'Cena zmagazynowanej energii (za kWh)',
+    'editor.field.charge_efficiency': 'Sprawność ładowania (%)',
+    'editor.field.schedule_entities': 'Encje harmonogramu ładowania (schedule / calendar / time)',
+    'editor.field.entity': 'Encja',
+    'editor.field.label': 'Etykieta (domyślnie nazwa encji)',
+    'editor.field.unit': 'Jednostka (zastępuje jednostkę encji)',
+    'editor.field.precision': 'Miejsca dziesiętne',
+    'editor.field.field': 'Odczyt dla warunków (opcjonalnie)',
+    'editor.option.field.temp': 'Temperatura',
+    'editor.option.field.cycles': 'Cykle',
+    'editor.option.field.health': 'Kondycja',
+    'editor.field.cell_voltage_entities': 'Encje napięcia ogniw',
+    'editor.field.cell_temp_entities': 'Encje temperatury ogniw',
+    'editor.field.cell_delta_warning': 'Ostrzeżenie o różnicy ogniw (mV)',
+    'editor.field.soc_colour_mode': 'Tryb koloru',
+    'editor.option.soc_colour_mode.step': 'Skokowy (kolor poziomu)',
+    'editor.option.soc_colour_mode.gradient': 'Gradient (mieszanie między poziomami)',
+    'editor.field.soc_gradient_arc': 'Maluj pierścień gradientem (tryb gradientu)',
+    'editor.field.from': 'Od (%)',
+    'editor.field.colour': 'Kolor',
+    'editor.field.colour_variable': 'Nazwa zmiennej CSS (np. --success-color)',
+    'editor.field.icon': 'Ikona (opcjonalna)',
+    'editor.field.enable_trickle_charge_filter': 'Włącz filtr ładowania podtrzymującego',
+    'editor.field.trickle_charge_threshold': 'Próg filtra (W)',
+    'editor.element.soc_gauge': 'Wskaźnik SOC',
+    'editor.element.power_gauge': 'Wskaźnik mocy',
+    'editor.element.title': 'Tytuł',
+    'editor.element.mode': 'Tryb / zębatka',
+    'editor.element.state_row': 'Wiersz stanu',
+    'editor.element.temp_stat': 'Statystyka temperatury',
+    'editor.element.cycles_stat': 'Statystyka cykli',
+    'editor.element.health_stat': 'Statystyka kondycji',
+    'editor.field.tap_action': 'Akcja dotknięcia',
+    'editor.field.hold_action': 'Akcja przytrzymania',
+    'editor.field.double_tap_action': 'Akcja podwójnego dotknięcia',
+  },
+};
+
+/**
+ * Looks up a user-facing string in the language Home Assistant is set to
+ * (hass.language, e.g. 'de' or 'pt-BR'), falling back to the base language, then English,
+ * then the given fallback. `{name}` placeholders are filled from params.
+ * @param {Object|null} hass - Home Assistant object
+ * @param {string} key - Translation key, e.g. 'gauge.reserve'
+ * @param {Object} [params] - Values for the string's {placeholders}
+ * @param {string} [fallback] - Text to use when no table has the key
+ * @returns {string}
+ */
+function localize(hass, key, params = {}, fallback = key) {
+  const language = hass?.language ?? hass?.locale?.language ?? 'en';
+  const text = TRANSLATIONS[language]?.[key]
+    ?? TRANSLATIONS[language.split('-')[0]]?.[key]
+    ?? TRANSLATIONS.en[key]
+    ?? fallback;
+  return text.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+}
+
+/**
+ * Translates an editor schema's labels for ha-form: field labels (editor.field.<name>, or
+ * editor.field.<labelKey> where a field sets one), select option labels
+ * (editor.option.<name>.<value>) and expandable titles (editor.element.<name>), keeping the
+ * schema's English where a language has no entry
+ * @param {Object|null} hass - Home Assistant object
+ * @param {Array<Object>} schema - ha-form schema
+ * @returns {Array<Object>} Translated copy
+ */
+function localizeSchema(hass, schema) {
+  return schema.map(field => {
+    const out = { ...field };
+    if (field.label) out.label = localize(hass, `editor.field.${field.labelKey ?? field.name}`, {}, field.label);
+    if (field.title) out.title = localize(hass, `editor.element.${field.name}`, {}, field.title);
+    if (field.schema) out.schema = localizeSchema(hass, field.schema);
+    const options = field.selector?.select?.options;
+    if (options) {
+      out.selector = {
+        ...field.selector,
+        select: {
+          ...field.selector.select,
+          options: options.map(option => ({
+            ...option,
+            label: localize(hass, `editor.option.${field.name}.${option.value}`, {}, option.label),
+          })),
+        },
+      };
+    }
+    return out;
+  });
+}
+
 // ============================================================================
 // STYLES
 // ============================================================================
@@ -442,7 +2658,7 @@ const cardStyles = css`
        first-paint value only. */
     min-height: var(--ubc-card-min-height, 210px);
     display: grid;
-    grid-template-rows: auto 1fr auto;
+    grid-template-rows: auto 1fr auto auto;
     grid-template-columns: 1fr;
     box-sizing: border-box;
     padding: 16px;
@@ -469,7 +2685,7 @@ const cardStyles = css`
      ambiguous across browsers and could collapse the gauges down to nothing
      with no way to recover on further resize (#9). */
   :host(.gauges-encroach-header) ha-card {
-    grid-template-rows: 0 1fr auto;
+    grid-template-rows: 0 1fr auto auto;
   }
   :host(.gauges-encroach-header) .header {
     grid-row: 2;
@@ -498,6 +2714,10 @@ const cardStyles = css`
     gap: 8px;
   }
 
+  .title.actionable {
+    cursor: pointer;
+  }
+
   .title {
     font-size: 1.4em;
     font-weight: bold;
@@ -517,12 +2737,89 @@ const cardStyles = css`
     opacity: 0.8;
   }
 
+  /* mode_dropdown: the mode entity's options, opened from the mode text */
+  .mode-anchor {
+    position: relative;
+  }
+
+  .mode-menu {
+    position: absolute;
+    top: calc(100% + 4px);
+    left: 0;
+    min-width: 160px;
+    max-height: 240px;
+    overflow-y: auto;
+    padding: 4px 0;
+    border-radius: 8px;
+    background: var(--card-background-color, var(--ha-card-background, #fff));
+    box-shadow: var(--ha-card-box-shadow, 0 2px 8px rgba(0, 0, 0, 0.25));
+    z-index: 2;
+  }
+
+  .mode-option {
+    display: flex;
+    align-items: center;
+    gap: 8px;
+    padding: 8px 12px;
+    white-space: nowrap;
+    color: var(--ubc-text-color);
+    cursor: pointer;
+  }
+
+  .mode-option:hover {
+    background: var(--secondary-background-color, rgba(127, 127, 127, 0.15));
+  }
+
+  .mode-option.selected {
+    font-weight: 500;
+  }
+
+  .title-row .mode-option ha-icon {
+    color: var(--ubc-text-color);
+    opacity: 1;
+  }
+
   .title-row ha-icon {
     --mdc-icon-size: 18px;
     color: var(--ubc-secondary-text);
     opacity: 0.7;
   }
 
+  /* Condition rules: warning icons and badges beside the title */
+  .title-row .alert-icon {
+    color: var(--ubc-alert-colour);
+    opacity: 1;
+  }
+
+  .alert-badge {
+    padding: 1px 8px;
+    border-radius: 10px;
+    font-size: 0.75em;
+    font-weight: 500;
+    color: white;
+    background: var(--ubc-alert-colour);
+    white-space: nowrap;
+  }
+
+  /* Condition rules: a pulsing SOC ring */
+  .main-gauge.pulsing .gauge-ring,
+  .soc-bar.pulsing {
+    animation: ring-pulse 1.6s ease-in-out infinite;
+  }
+
+  @keyframes ring-pulse {
+    0%, 100% { filter: drop-shadow(0 0 0 transparent); opacity: 1; }
+    50% { filter: drop-shadow(0 0 6px var(--ubc-pulse-colour)); opacity: 0.6; }
+  }
+
+  @media (prefers-reduced-motion: reduce) {
+    .main-gauge.pulsing .gauge-ring,
+    .soc-bar.pulsing {
+      animation: none;
+      filter: drop-shadow(0 0 4px var(--ubc-pulse-colour));
+    }
+  }
+
   .state-row {
     display: flex;
     align-items: center;
@@ -541,9 +2838,26 @@ const cardStyles = css`
     color: var(--ubc-secondary-text);
   }
 
-  .capacity-row {
+  .state-row .charge-sources {
+    font-size: 0.8em;
+    color: var(--ubc-secondary-text);
+    white-space: nowrap;
+  }
+
+  .capacity-row,
+  .value-row {
+    font-size: 0.9em;
+    color: var(--ubc-secondary-text);
+  }
+
+  .schedule-row {
     font-size: 0.9em;
     color: var(--ubc-secondary-text);
+    cursor: pointer;
+  }
+
+  .schedule-row ha-icon {
+    --mdc-icon-size: 16px;
   }
 
   /* Stats Panel */
@@ -570,6 +2884,12 @@ const cardStyles = css`
     font-weight: 500;
   }
 
+  .stat ha-icon {
+    --mdc-icon-size: 14px;
+    margin-right: 4px;
+    vertical-align: -2px;
+  }
+
   /* Gauges Container */
   .gauges-container {
     grid-row: 2;
@@ -624,6 +2944,10 @@ const cardStyles = css`
     stroke: var(--ubc-gauge-bg);
   }
 
+  .gauge-ring .ring-gradient circle {
+    stroke-linecap: butt;
+  }
+
   .gauge-center {
     position: relative;
     z-index: 2;
@@ -731,6 +3055,22 @@ const cardStyles = css`
     background: var(--success-color, #43a047);
   }
 
+  /* interactive_markers: a wider hit area than the 4px bar, and no page scroll on touch */
+  .marker.draggable {
+    cursor: grab;
+    touch-action: none;
+  }
+
+  .marker.draggable::before {
+    content: '';
+    position: absolute;
+    inset: -4px -10px;
+  }
+
+  .marker.draggable:active {
+    cursor: grabbing;
+  }
+
   /* Power Gauge */
   .power-gauge-wrapper .gauge {
     width: var(--ubc-power-gauge-size);
@@ -786,173 +3126,843 @@ const cardStyles = css`
     font-weight: 500;
   }
 
-  /* Footer */
-  .footer {
-    grid-row: 3;
-    grid-column: 1;
-    text-align: center;
-    margin-top: 8px;
-    padding-top: 10px;
-    border-top: 1px solid var(--divider-color, rgba(255,255,255,0.1));
-    font-size: 0.95em;
-    color: var(--ubc-secondary-text);
+  /* layout: bar — the two bars stacked across the full width in place of the rings */
+  .gauges-container.bars {
+    flex-direction: column;
+    align-items: stretch;
+    gap: 12px;
   }
 
-  /* Error and Loading States */
-  .error-container {
-    padding: 16px;
-    text-align: center;
-    color: var(--error-color, #db4437);
+  .bar-wrapper {
+    min-width: 0;
+    cursor: pointer;
   }
 
-  .error-container ha-icon {
-    --mdc-icon-size: 48px;
-    margin-bottom: 8px;
+  .bar-wrapper:hover {
+    opacity: 0.9;
   }
 
-  .skeleton {
-    opacity: 0.5;
-    animation: pulse 1.5s ease-in-out infinite;
+  .soc-bar-row {
+    display: flex;
+    align-items: center;
+    gap: 8px;
   }
 
-  @keyframes pulse {
-    0%, 100% { opacity: 0.5; }
-    50% { opacity: 0.3; }
+  .soc-bar-row > ha-icon {
+    flex-shrink: 0;
+    --mdc-icon-size: calc(var(--ubc-bar-height, 36px) * 0.8);
   }
-`;
 
-const editorStyles = css`
-  .tab-bar {
+  /* Battery outline: the track sits inside a border, with the terminal drawn off its right end */
+  .soc-bar {
+    position: relative;
     display: flex;
-    flex-wrap: wrap;
-    border-bottom: 1px solid var(--divider-color);
-    margin-bottom: 16px;
+    flex: 1;
+    min-width: 0;
+    height: var(--ubc-bar-height, 36px);
+    box-sizing: border-box;
+    padding: 2px;
+    margin-right: 6px;
+    border: 2px solid var(--ubc-secondary-text);
+    border-radius: 6px;
   }
-  .tab {
-    padding: 8px 16px;
-    cursor: pointer;
-    border-bottom: 2px solid transparent;
-    font-size: 0.9em;
+
+  .soc-bar::after {
+    content: '';
+    position: absolute;
+    top: 30%;
+    bottom: 30%;
+    right: -7px;
+    width: 4px;
+    border-radius: 0 2px 2px 0;
+    background: var(--ubc-secondary-text);
   }
-  .tab:hover { background: var(--secondary-background-color); }
-  .tab.active {
-    border-bottom-color: var(--primary-color);
-    color: var(--primary-color);
+
+  .bar-track {
+    position: relative;
+    flex: 1;
+    border-radius: 3px;
+    background: var(--ubc-gauge-bg);
   }
-  .helper-text {
-    font-size: 0.85em;
-    color: var(--secondary-text-color);
-    margin-bottom: 16px;
+
+  .bar-fill {
+    position: absolute;
+    top: 0;
+    bottom: 0;
+    border-radius: inherit;
+    transition: width 0.5s ease;
   }
-`;
 
-// ============================================================================
-// SCHEMAS
-// ============================================================================
+  .bar-track .marker {
+    top: -6px;
+    bottom: -6px;
+    height: auto;
+  }
 
-const EDITOR_TABS = [
-  { id: 'general', label: 'General' },
-  { id: 'entities', label: 'Entities' },
-  { id: 'stats', label: 'Stats' },
-  { id: 'soc', label: 'SOC Colors' },
-  { id: 'filters', label: 'Filters' },
-];
+  .bar-readout {
+    display: flex;
+    align-items: baseline;
+    gap: 6px;
+    flex-shrink: 0;
+    white-space: nowrap;
+  }
 
-const GENERAL_SCHEMA = [
-  { name: 'name', label: 'Card Name', selector: { text: {} } },
-  { name: 'decimal_places', label: 'Decimal Places', selector: { number: { min: 0, max: 4, mode: 'box' } } },
-  { name: 'gauge_thickness', label: 'Gauge Ring Thickness (%)', selector: { number: { min: 5, max: 15, mode: 'slider' } } },
-  { name: 'gauge_track_colour', label: 'Gauge Track Color', selector: { color_rgb: {} } },
-  { name: 'power_gauge_scale', label: 'Power Gauge Size vs Main Gauge (%)', selector: { number: { min: 30, max: 100, mode: 'slider' } } },
-  { name: 'header_style', label: 'Header Style', selector: { select: { options: [
-    { value: 'full', label: 'Full Header' },
-    { value: 'title', label: 'Title Only' },
-    { value: 'none', label: 'No Title' },
-  ] } } },
-  { name: 'show_runtime', label: 'Display Runtime/Depletion Times', selector: { boolean: {} } },
-  { name: 'date_format', label: 'Date Format', selector: { select: { mode: 'dropdown', options: [
-    { value: 'auto', label: 'Auto (HA locale)' },
-    { value: 'MM/DD', label: 'MM/DD (US)' },
-    { value: 'DD/MM', label: 'DD/MM (EU/UK)' },
-  ] } } },
-  { name: 'time_format', label: 'Time Format', selector: { select: { mode: 'dropdown', options: [
-    { value: 'auto', label: 'Auto (HA locale)' },
-    { value: '24', label: '24-hour' },
-    { value: '12', label: '12-hour' },
-  ] } } },
-  { name: 'show_rates', label: 'Display Power Gauge (Charge/Discharge Rates)', selector: { boolean: {} } },
-  { name: 'show_rate_labels', label: 'Display Max Charge/Discharge Labels', selector: { boolean: {} } },
-  { name: 'show_power_percent', label: 'Display Power Percentage', selector: { boolean: {} } },
-  { name: 'show_power_direction', label: 'Display Power Direction Label', selector: { boolean: {} } },
-  { name: 'show_gauge_labels', label: 'Display Reserve/Cutoff Labels', selector: { boolean: {} } },
-  { name: 'gauge_label_position', label: 'Reserve/Cutoff Label Position', selector: { select: { mode: 'dropdown', options: [
-    { value: 'above', label: 'Above the gauge' },
-    { value: 'below', label: 'Below the gauge' },
-  ] } } },
-  { name: 'show_capacity', label: 'Display Capacity in Header', selector: { boolean: {} } },
-  { name: 'show_stats', label: 'Display Stats Panel (Temp/Cycles/Health)', selector: { boolean: {} } },
-];
+  .bar-readout .soc-value {
+    font-size: calc(var(--ubc-bar-height, 36px) * 0.55);
+    font-weight: bold;
+    line-height: 1;
+  }
 
-const ENTITIES_SCHEMA = [
-  // Required Sensors
-  { name: 'soc_entity', label: 'SOC Entity', selector: { entity: { domain: 'sensor' } } },
-  { name: 'power_entity', label: 'Power Entity', selector: { entity: { domain: 'sensor' } } },
-  { name: 'invert_power', label: 'Invert Power Value', selector: { boolean: {} } },
-  // Status Display (Optional)
-  { name: 'state_entity', label: 'State Entity (overrides auto-detect)', selector: { entity: {} } },
-  { name: 'mode_entity', label: 'Mode Entity (e.g. input_select)', selector: { entity: { domain: ['input_select', 'select', 'sensor'] } } },
-  // Energy (Entity or Fixed Value)
-  { name: 'soc_energy_entity', label: 'SOC Energy Entity', selector: { entity: { domain: 'sensor' } } },
-  // Capacity (Entity or Fixed Value)
-  { name: 'capacity_entity', label: 'Capacity Entity', selector: { entity: { domain: 'sensor' } } },
-  { name: 'capacity', label: 'OR Fixed Capacity (kWh)', selector: { number: { min: 0, max: 1000, step: 0.1, mode: 'box' } } },
-  // Reserve (Entity or Fixed Value)
-  { name: 'reserve_entity', label: 'Reserve Entity', selector: { entity: { domain: ['sensor', 'number'] } } },
-  { name: 'reserve', label: 'OR Fixed Reserve (%)', selector: { number: { min: 0, max: 100, mode: 'box' } } },
-  // Rates (Entity or Fixed Value)
-  { name: 'charge_rate_entity', label: 'Max Charge Rate Entity', selector: { entity: { domain: ['sensor', 'number'] } } },
-  { name: 'charge_rate', label: 'OR Fixed Max Charge Rate (W)', selector: { number: { min: 0, max: 50000, mode: 'box' } } },
-  { name: 'discharge_rate_entity', label: 'Max Discharge Rate Entity', selector: { entity: { domain: ['sensor', 'number'] } } },
-  { name: 'discharge_rate', label: 'OR Fixed Max Discharge Rate (W)', selector: { number: { min: 0, max: 50000, mode: 'box' } } },
-  // Cutoff (max charge limit)
-  { name: 'cutoff_entity', label: 'Cutoff Entity (max charge %)', selector: { entity: { domain: ['sensor', 'number'] } } },
-  { name: 'cutoff', label: 'OR Fixed Cutoff (%)', selector: { number: { min: 0, max: 100, mode: 'box' } } },
-];
+  .bar-readout .energy-value {
+    font-size: 0.8em;
+    color: var(--ubc-text-color);
+  }
 
-const STATS_SCHEMA = [
-  { name: 'temp_entity', label: 'Temperature Entity', selector: { entity: { domain: 'sensor' } } },
-  { name: 'cycles_entity', label: 'Battery Cycles Entity', selector: { entity: { domain: 'sensor' } } },
-  { name: 'health_entity', label: 'Battery Health Entity', selector: { entity: { domain: 'sensor' } } },
-];
+  .bar-labels {
+    display: flex;
+    justify-content: space-between;
+    gap: 4px;
+    margin-top: 4px;
+  }
 
-const SOC_SCHEMA = [
-  { name: 'soc_threshold_very_high', label: 'Very High Threshold (%)', selector: { number: { min: 0, max: 100, mode: 'slider' } } },
-  { name: 'soc_colour_very_high', label: 'Very High Color', selector: { color_rgb: {} } },
-  { name: 'soc_threshold_high', label: 'High Threshold (%)', selector: { number: { min: 0, max: 100, mode: 'slider' } } },
-  { name: 'soc_colour_high', label: 'High Color', selector: { color_rgb: {} } },
-  { name: 'soc_threshold_medium', label: 'Medium Threshold (%)', selector: { number: { min: 0, max: 100, mode: 'slider' } } },
-  { name: 'soc_colour_medium', label: 'Medium Color', selector: { color_rgb: {} } },
-  { name: 'soc_threshold_low', label: 'Low Threshold (%)', selector: { number: { min: 0, max: 100, mode: 'slider' } } },
-  { name: 'soc_colour_low', label: 'Low Color', selector: { color_rgb: {} } },
-  { name: 'soc_colour_very_low', label: 'Very Low Color', selector: { color_rgb: {} } },
-];
+  /* Zero in the middle: discharge grows left towards its max rate, charge right towards its own */
+  .power-bar {
+    position: relative;
+    height: var(--ubc-power-bar-height, 28px);
+    border-radius: 4px;
+    overflow: hidden;
+    background: var(--ubc-gauge-bg);
+  }
+
+  .power-bar::after {
+    content: '';
+    position: absolute;
+    top: 0;
+    bottom: 0;
+    left: 50%;
+    width: 2px;
+    margin-left: -1px;
+    background: var(--ubc-secondary-text);
+  }
+
+  .bar-caption {
+    display: grid;
+    grid-template-columns: 1fr auto 1fr;
+    align-items: baseline;
+    gap: 8px;
+    margin-top: 4px;
+    font-size: 0.75em;
+    white-space: nowrap;
+  }
+
+  .bar-caption .rate-label-item {
+    font-size: 1em;
+    text-align: left;
+  }
+
+  .bar-caption .rate-label-item.charge {
+    text-align: right;
+  }
+
+  .bar-caption .rate-label-item span {
+    display: inline;
+  }
+
+  .power-readout {
+    display: flex;
+    align-items: center;
+    gap: 4px;
+    color: var(--ubc-secondary-text);
+  }
+
+  .power-readout .power-value {
+    font-weight: bold;
+  }
+
+  .power-readout ha-icon {
+    --mdc-icon-size: 1.2em;
+  }
+
+  /* Strips under the gauges (history, packs). One grid row for all of them, so the chrome
+     delta in _measureChrome picks up whatever is shown without knowing what it is. */
+  .details {
+    grid-row: 3;
+    grid-column: 1;
+    display: flex;
+    flex-direction: column;
+    gap: 8px;
+    margin-top: 8px;
+    min-width: 0;
+  }
+
+  /* An entity whose unit can't be read as what it's configured for */
+  .unit-warning {
+    display: flex;
+    align-items: center;
+    gap: 6px;
+    font-size: 12px;
+    color: var(--warning-color, #ffa600);
+  }
+
+  .unit-warning ha-icon {
+    --mdc-icon-size: 16px;
+    flex-shrink: 0;
+  }
+
+  /* SOC history sparkline */
+  .history {
+    height: 40px;
+    cursor: pointer;
+  }
+
+  .history svg {
+    display: block;
+    width: 100%;
+    height: 100%;
+  }
+
+  .history path {
+    fill: none;
+    stroke-width: 1.5;
+  }
+
+  .history .history-zero {
+    stroke: var(--ubc-gauge-bg);
+    stroke-width: 1;
+  }
+
+  .history .history-power {
+    stroke: var(--ubc-secondary-text);
+    opacity: 0.6;
+  }
+
+  /* Schedule strip: the next SCHEDULE_SPAN_HOURS, with forced charge/discharge windows */
+  .schedule-bar {
+    position: relative;
+    height: 12px;
+    border-radius: 6px;
+    overflow: hidden;
+    background: var(--ubc-gauge-bg);
+  }
+
+  .schedule-window {
+    position: absolute;
+    top: 0;
+    bottom: 0;
+    min-width: 2px;
+    cursor: pointer;
+  }
+
+  .schedule-labels {
+    position: relative;
+    height: 1.4em;
+    font-size: 0.7em;
+    color: var(--ubc-secondary-text);
+  }
+
+  .schedule-labels span {
+    position: absolute;
+    top: 2px;
+    transform: translateX(-50%);
+    white-space: nowrap;
+  }
+
+  .schedule-labels span:first-child {
+    transform: none;
+  }
+
+  .schedule-labels span:last-child {
+    transform: translateX(-100%);
+  }
+
+  /* Cells strip: one bar per cell voltage, with min / max / delta beneath */
+  .cells-bars {
+    display: flex;
+    align-items: flex-end;
+    gap: 2px;
+    height: 24px;
+  }
+
+  .cell {
+    flex: 1;
+    height: 100%;
+    display: flex;
+    align-items: flex-end;
+    cursor: pointer;
+  }
+
+  .cell-fill {
+    width: 100%;
+    border-radius: 2px 2px 0 0;
+    background: var(--ubc-secondary-text);
+    opacity: 0.5;
+  }
+
+  .cell.min .cell-fill,
+  .cell.max .cell-fill {
+    background: var(--ubc-text-color);
+    opacity: 1;
+  }
+
+  .cells.warning .cell.min .cell-fill,
+  .cells.warning .cell.max .cell-fill {
+    background: var(--warning-color, #ffa600);
+  }
+
+  .cells.warning .cells-delta {
+    color: var(--warning-color, #ffa600);
+  }
+
+  .cells-summary {
+    display: flex;
+    flex-wrap: wrap;
+    justify-content: center;
+    gap: 0 16px;
+    margin-top: 4px;
+    font-size: 0.85em;
+    color: var(--ubc-secondary-text);
+  }
+
+  .cells-summary span {
+    color: var(--ubc-text-color);
+    font-weight: 500;
+  }
+
+  .cells-summary .clickable {
+    cursor: pointer;
+  }
+
+  /* Today's energy in / out */
+  .energy-today {
+    display: flex;
+    flex-wrap: wrap;
+    justify-content: center;
+    gap: 0 16px;
+    font-size: 0.85em;
+    color: var(--ubc-secondary-text);
+  }
+
+  .energy-today span {
+    color: var(--ubc-text-color);
+    font-weight: 500;
+  }
+
+  .energy-today .clickable {
+    cursor: pointer;
+  }
+
+  /* Pack rows (multi-pack mode): one chip per entry in batteries: */
+  .packs {
+    display: flex;
+    flex-wrap: wrap;
+    justify-content: center;
+    gap: 4px 16px;
+  }
+
+  .pack {
+    display: flex;
+    align-items: center;
+    gap: 6px;
+    font-size: 0.85em;
+    color: var(--ubc-secondary-text);
+    cursor: pointer;
+  }
+
+  .pack:hover {
+    opacity: 0.8;
+  }
+
+  .pack.unavailable {
+    opacity: 0.5;
+  }
+
+  .pack-gauge {
+    position: relative;
+    width: 24px;
+    height: 24px;
+    flex-shrink: 0;
+  }
+
+  .pack-soc {
+    color: var(--ubc-text-color);
+    font-weight: 500;
+  }
+
+  .pack-power ha-icon {
+    --mdc-icon-size: 14px;
+  }
+
+  /* Footer */
+  .footer {
+    grid-row: 4;
+    grid-column: 1;
+    text-align: center;
+    margin-top: 8px;
+    padding-top: 10px;
+    border-top: 1px solid var(--divider-color, rgba(255,255,255,0.1));
+    font-size: 0.95em;
+    color: var(--ubc-secondary-text);
+  }
+
+  /* Error and Loading States */
+  .error-container {
+    padding: 16px;
+    text-align: center;
+    color: var(--error-color, #db4437);
+  }
+
+  .error-container ha-icon {
+    --mdc-icon-size: 48px;
+    margin-bottom: 8px;
+  }
+
+  .skeleton {
+    opacity: 0.5;
+    animation: pulse 1.5s ease-in-out infinite;
+  }
+
+  @keyframes pulse {
+    0%, 100% { opacity: 0.5; }
+    50% { opacity: 0.3; }
+  }
+`;
+
+const editorStyles = css`
+  .tab-bar {
+    display: flex;
+    flex-wrap: wrap;
+    border-bottom: 1px solid var(--divider-color);
+    margin-bottom: 16px;
+  }
+  .tab {
+    padding: 8px 16px;
+    cursor: pointer;
+    border-bottom: 2px solid transparent;
+    font-size: 0.9em;
+  }
+  .tab:hover { background: var(--secondary-background-color); }
+  .tab.active {
+    border-bottom-color: var(--primary-color);
+    color: var(--primary-color);
+  }
+  .helper-text {
+    font-size: 0.85em;
+    color: var(--secondary-text-color);
+    margin-bottom: 16px;
+  }
+  .helper-text.section {
+    margin-top: 24px;
+  }
+  .list-row {
+    display: flex;
+    align-items: flex-start;
+    gap: 8px;
+    padding-bottom: 12px;
+    margin-bottom: 12px;
+    border-bottom: 1px solid var(--divider-color);
+  }
+  .list-row ha-form { flex: 1; }
+`;
+
+// The badge is styled after Home Assistant's own entity badges: a pill of the badge height,
+// with the ring where their icon goes.
+const badgeStyles = css`
+  :host {
+    display: inline-block;
+    --ubc-text-color: var(--primary-text-color);
+    --ubc-secondary-text: var(--secondary-text-color);
+    --ubc-gauge-bg: var(--divider-color, #3a3a3a);
+  }
+
+  .badge {
+    display: inline-flex;
+    align-items: center;
+    gap: 8px;
+    height: var(--ha-badge-size, 36px);
+    min-width: var(--ha-badge-size, 36px);
+    box-sizing: border-box;
+    padding: 0 12px 0 4px;
+    border-radius: var(--ha-badge-border-radius, calc(var(--ha-badge-size, 36px) / 2));
+    border: var(--ha-card-border-width, 1px) solid var(--ha-card-border-color, var(--divider-color, #e0e0e0));
+    background: var(--ha-card-background, var(--card-background-color, white));
+    box-shadow: var(--ha-card-box-shadow, none);
+    color: var(--ubc-text-color);
+    cursor: pointer;
+    -webkit-tap-highlight-color: transparent;
+  }
+
+  .badge-ring {
+    position: relative;
+    display: flex;
+    align-items: center;
+    justify-content: center;
+    flex-shrink: 0;
+    width: 28px;
+    height: 28px;
+  }
+
+  .badge-ring ha-icon {
+    --mdc-icon-size: 14px;
+  }
+
+  .gauge-ring {
+    position: absolute;
+    inset: 0;
+    width: 100%;
+    height: 100%;
+    pointer-events: none;
+  }
+
+  .gauge-ring circle {
+    fill: none;
+  }
+
+  .gauge-ring .ring-track {
+    stroke: var(--ubc-gauge-bg);
+  }
+
+  .badge-info {
+    display: flex;
+    flex-direction: column;
+    line-height: 1.2;
+    white-space: nowrap;
+  }
+
+  .badge-name {
+    font-size: 10px;
+    font-weight: 500;
+    color: var(--ubc-secondary-text);
+  }
+
+  .badge-state {
+    display: flex;
+    align-items: center;
+    gap: 2px;
+    font-size: 12px;
+    font-weight: 500;
+  }
+
+  .badge-state ha-icon {
+    --mdc-icon-size: 14px;
+  }
+`;
+
+// The tile feature fills the feature row the tile gives it: a slim SOC bar over one line of text.
+const featureStyles = css`
+  :host {
+    display: block;
+    --ubc-text-color: var(--primary-text-color);
+    --ubc-secondary-text: var(--secondary-text-color);
+    --ubc-gauge-bg: var(--divider-color, #3a3a3a);
+  }
+
+  .feature {
+    display: flex;
+    flex-direction: column;
+    justify-content: center;
+    gap: 6px;
+    height: var(--feature-height, 42px);
+    box-sizing: border-box;
+    padding: 0 4px;
+    cursor: pointer;
+  }
+
+  .feature-bar {
+    position: relative;
+    height: 8px;
+    border-radius: 4px;
+    background: var(--ubc-gauge-bg);
+  }
+
+  .feature-fill {
+    position: absolute;
+    top: 0;
+    bottom: 0;
+    left: 0;
+    border-radius: inherit;
+    transition: width 0.5s ease;
+  }
+
+  .feature-tick {
+    position: absolute;
+    top: -3px;
+    bottom: -3px;
+    width: 2px;
+    margin-left: -1px;
+    border-radius: 1px;
+  }
+
+  .feature-tick.reserve {
+    background: var(--error-color, #db4437);
+  }
+
+  .feature-tick.cutoff {
+    background: var(--success-color, #43a047);
+  }
+
+  .feature-line {
+    display: flex;
+    gap: 8px;
+    font-size: 12px;
+    line-height: 1.2;
+    color: var(--ubc-secondary-text);
+    white-space: nowrap;
+  }
+
+  .feature-line .soc {
+    font-weight: 500;
+  }
+
+  .feature-line .runtime {
+    margin-left: auto;
+    overflow: hidden;
+    text-overflow: ellipsis;
+  }
+`;
+
+// ============================================================================
+// SCHEMAS
+// ============================================================================
+
+// configKey: the tab edits a nested object of the config rather than top-level keys
+const EDITOR_TABS = [
+  { id: 'general', label: 'General' },
+  { id: 'entities', label: 'Entities' },
+  { id: 'stats', label: 'Stats' },
+  { id: 'soc', label: 'SOC Colors' },
+  { id: 'filters', label: 'Filters' },
+  { id: 'actions', label: 'Actions', configKey: 'actions' },
+];
+
+// Text options that can come from a Jinja template instead, by card field
+const TEMPLATE_FIELDS = { name: 'name_template', state: 'state_template', mode: 'mode_template' };
+
+// Card elements that take tap / hold / double-tap actions, keyed as under `actions:`.
+// entityKeys are the config keys of the entity a default tap opens, first configured wins;
+// the title has none, so it does nothing unless configured.
+const ACTION_ELEMENTS = [
+  { id: 'soc_gauge', label: 'SOC Gauge', entityKeys: ['soc_entity', 'soc_energy_entity'], packEntity: 'socEntity' },
+  { id: 'power_gauge', label: 'Power Gauge', entityKeys: ['power_entity', 'charge_power_entity', 'current_entity'], packEntity: 'powerEntity' },
+  { id: 'title', label: 'Title', entityKeys: [] },
+  { id: 'mode', label: 'Mode / Cog', entityKeys: ['mode_entity'] },
+  { id: 'state_row', label: 'State Row', entityKeys: ['state_entity'] },
+  { id: 'temp_stat', label: 'Temperature Stat', entityKeys: ['temp_entity'] },
+  { id: 'cycles_stat', label: 'Cycles Stat', entityKeys: ['cycles_entity'] },
+  { id: 'health_stat', label: 'Health Stat', entityKeys: ['health_entity'] },
+];
+
+const ACTION_GESTURES = ['tap', 'hold', 'double_tap'];
+
+const GENERAL_SCHEMA = [
+  { name: 'name', label: 'Card Name', selector: { text: {} } },
+  { name: 'name_template', label: 'OR Card Name Template (Jinja)', selector: { template: {} } },
+  { name: 'decimal_places', label: 'Decimal Places', selector: { number: { min: 0, max: 4, mode: 'box' } } },
+  { name: 'layout', label: 'Layout', selector: { select: { mode: 'dropdown', options: [
+    { value: 'rings', label: 'Rings' },
+    { value: 'bar', label: 'Horizontal bars' },
+  ] } } },
+  { name: 'gauge_thickness', label: 'Gauge Ring Thickness (%)', selector: { number: { min: 5, max: 15, mode: 'slider' } } },
+  { name: 'gauge_track_colour', label: 'Gauge Track Color', selector: { color_rgb: {} } },
+  { name: 'power_gauge_scale', label: 'Power Gauge Size vs Main Gauge (%)', selector: { number: { min: 30, max: 100, mode: 'slider' } } },
+  { name: 'header_style', label: 'Header Style', selector: { select: { options: [
+    { value: 'full', label: 'Full Header' },
+    { value: 'title', label: 'Title Only' },
+    { value: 'none', label: 'No Title' },
+  ] } } },
+  { name: 'show_runtime', label: 'Display Runtime/Depletion Times', selector: { boolean: {} } },
+  { name: 'power_average_minutes', label: 'Average Power Over (minutes, 0 = off)', selector: { number: { min: 0, max: 1440, mode: 'box' } } },
+  { name: 'runtime_estimate', label: 'Runtime Estimate (when averaging)', selector: { select: { mode: 'dropdown', options: [
+    { value: 'average', label: 'Average power' },
+    { value: 'now', label: 'Current power' },
+    { value: 'both', label: 'Both' },
+  ] } } },
+  { name: 'date_format', label: 'Date Format', selector: { select: { mode: 'dropdown', options: [
+    { value: 'auto', label: 'Auto (HA locale)' },
+    { value: 'MM/DD', label: 'MM/DD (US)' },
+    { value: 'DD/MM', label: 'DD/MM (EU/UK)' },
+  ] } } },
+  { name: 'time_format', label: 'Time Format', selector: { select: { mode: 'dropdown', options: [
+    { value: 'auto', label: 'Auto (HA locale)' },
+    { value: '24', label: '24-hour' },
+    { value: '12', label: '12-hour' },
+  ] } } },
+  { name: 'show_rates', label: 'Display Power Gauge (Charge/Discharge Rates)', selector: { boolean: {} } },
+  { name: 'show_rate_labels', label: 'Display Max Charge/Discharge Labels', selector: { boolean: {} } },
+  { name: 'show_power_percent', label: 'Display Power Percentage', selector: { boolean: {} } },
+  { name: 'show_power_direction', label: 'Display Power Direction Label', selector: { boolean: {} } },
+  { name: 'show_gauge_labels', label: 'Display Reserve/Cutoff Labels', selector: { boolean: {} } },
+  { name: 'interactive_markers', label: 'Drag Reserve/Cutoff Markers to Set Them (number entities)', selector: { boolean: {} } },
+  { name: 'marker_confirmation', label: 'Confirm Before Setting a Dragged Marker', selector: { boolean: {} } },
+  { name: 'mode_dropdown', label: 'Pick the Mode from a Dropdown (select entities)', selector: { boolean: {} } },
+  { name: 'mode_confirmation', label: 'Confirm Before Changing the Mode', selector: { boolean: {} } },
+  { name: 'gauge_label_position', label: 'Reserve/Cutoff Label Position', selector: { select: { mode: 'dropdown', options: [
+    { value: 'above', label: 'Above the gauge' },
+    { value: 'below', label: 'Below the gauge' },
+  ] } } },
+  { name: 'show_capacity', label: 'Display Capacity in Header', selector: { boolean: {} } },
+  { name: 'show_energy_value', label: 'Display Stored Value / Cost to Full in Header (with a price)', selector: { boolean: {} } },
+  { name: 'show_stats', label: 'Display Stats Panel (Temp/Cycles/Health)', selector: { boolean: {} } },
+  { name: 'show_packs', label: 'Display Per-Pack Rows (Multi-Pack Mode)', selector: { boolean: {} } },
+  { name: 'show_history', label: 'Display SOC History Sparkline', selector: { boolean: {} } },
+  { name: 'history_hours', label: 'History Window (hours)', selector: { number: { min: 1, max: 168, mode: 'box' } } },
+  { name: 'history_show_power', label: 'Include Power in History Sparkline', selector: { boolean: {} } },
+  { name: 'show_energy_today', label: "Display Today's Energy In/Out", selector: { boolean: {} } },
+  { name: 'show_schedule_strip', label: 'Display Schedule Strip (with schedule entities)', selector: { boolean: {} } },
+  { name: 'show_cells', label: 'Display Cell Voltages (with cell entities)', selector: { boolean: {} } },
+];
+
+const ENTITIES_SCHEMA = [
+  // Required Sensors
+  { name: 'soc_entity', label: 'SOC Entity', selector: { entity: { domain: 'sensor' } } },
+  { name: 'power_entity', label: 'Power Entity', selector: { entity: { domain: 'sensor' } } },
+  { name: 'charge_power_entity', label: 'OR Charge Power Entity (unsigned)', selector: { entity: { domain: 'sensor' } } },
+  { name: 'discharge_power_entity', label: '+ Discharge Power Entity (unsigned)', selector: { entity: { domain: 'sensor' } } },
+  { name: 'invert_power', label: 'Invert Power Value', selector: { boolean: {} } },
+  { name: 'voltage_entity', label: 'OR Voltage Entity', selector: { entity: { domain: 'sensor' } } },
+  { name: 'current_entity', label: '× Current Entity', selector: { entity: { domain: 'sensor' } } },
+  { name: 'invert_current', label: 'Invert Current (positive while discharging)', selector: { boolean: {} } },
+  // Status Display (Optional)
+  { name: 'state_entity', label: 'State Entity (overrides auto-detect)', selector: { entity: {} } },
+  { name: 'state_template', label: 'OR State Template (Jinja)', selector: { template: {} } },
+  { name: 'mode_entity', label: 'Mode Entity (e.g. input_select)', selector: { entity: { domain: ['input_select', 'select', 'sensor'] } } },
+  { name: 'mode_template', label: 'OR Mode Template (Jinja)', selector: { template: {} } },
+  // Energy (Entity or Fixed Value)
+  { name: 'soc_energy_entity', label: 'SOC Energy Entity', selector: { entity: { domain: 'sensor' } } },
+  // Energy counters for "In today / Out today" (total_increasing sensors)
+  { name: 'charge_energy_entity', label: 'Charge Energy Entity (total)', selector: { entity: { domain: 'sensor' } } },
+  { name: 'discharge_energy_entity', label: 'Discharge Energy Entity (total)', selector: { entity: { domain: 'sensor' } } },
+  // Capacity (Entity or Fixed Value)
+  { name: 'capacity_entity', label: 'Capacity Entity', selector: { entity: { domain: 'sensor' } } },
+  { name: 'capacity', label: 'OR Fixed Capacity (kWh)', selector: { number: { min: 0, max: 1000, step: 0.1, mode: 'box' } } },
+  { name: 'nominal_voltage', label: 'Nominal Voltage (V, for capacity in Ah)', selector: { number: { min: 1, max: 2000, mode: 'box' } } },
+  // Reserve (Entity or Fixed Value)
+  { name: 'reserve_entity', label: 'Reserve Entity', selector: { entity: { domain: ['sensor', 'number'] } } },
+  { name: 'reserve', label: 'OR Fixed Reserve (%)', selector: { number: { min: 0, max: 100, mode: 'box' } } },
+  // Rates (Entity or Fixed Value)
+  { name: 'charge_rate_entity', label: 'Max Charge Rate Entity', selector: { entity: { domain: ['sensor', 'number'] } } },
+  { name: 'charge_rate', label: 'OR Fixed Max Charge Rate (W)', selector: { number: { min: 0, max: 50000, mode: 'box' } } },
+  { name: 'discharge_rate_entity', label: 'Max Discharge Rate Entity', selector: { entity: { domain: ['sensor', 'number'] } } },
+  { name: 'discharge_rate', label: 'OR Fixed Max Discharge Rate (W)', selector: { number: { min: 0, max: 50000, mode: 'box' } } },
+  // Cutoff (max charge limit)
+  { name: 'cutoff_entity', label: 'Cutoff Entity (max charge %)', selector: { entity: { domain: ['sensor', 'number'] } } },
+  { name: 'cutoff', label: 'OR Fixed Cutoff (%)', selector: { number: { min: 0, max: 100, mode: 'box' } } },
+  // Solar forecast (time to full while charging from PV)
+  { name: 'solar_forecast_entity', label: 'Solar Forecast Entity (Solcast / Forecast.Solar)', selector: { entity: { domain: 'sensor' } } },
+  { name: 'house_load_entity', label: 'House Load Entity', selector: { entity: { domain: 'sensor' } } },
+  { name: 'house_load', label: 'OR Fixed House Load (W)', selector: { number: { min: 0, max: 100000, mode: 'box' } } },
+  { name: 'solar_power_entity', label: 'Solar Power Entity (charge source split)', selector: { entity: { domain: 'sensor' } } },
+  { name: 'grid_power_entity', label: 'Grid Power Entity (positive importing)', selector: { entity: { domain: 'sensor' } } },
+  { name: 'invert_grid_power', label: 'Invert Grid Power (positive exporting)', selector: { boolean: {} } },
+  { name: 'price_entity', label: 'Energy Price Entity (current import price)', selector: { entity: {} } },
+  { name: 'stored_energy_price', label: 'Price of Stored Energy (per kWh)', selector: { number: { min: 0, max: 1000, step: 0.001, mode: 'box' } } },
+  { name: 'charge_efficiency', label: 'Charge Efficiency (%)', selector: { number: { min: 50, max: 100, mode: 'box' } } },
+  // Forced charge/discharge schedules
+  { name: 'schedule_entities', label: 'Charge Schedule Entities (schedule / calendar / time)', selector: { entity: { multiple: true, domain: ['schedule', 'calendar', 'time', 'input_datetime'] } } },
+];
+
+// One row of the Stats tab, editing one `stats:` entry
+const STAT_ITEM_SCHEMA = [
+  { name: 'entity', label: 'Entity', selector: { entity: {} } },
+  { name: 'label', label: 'Label (defaults to the entity name)', selector: { text: {} } },
+  { name: 'icon', label: 'Icon (optional)', selector: { icon: {} } },
+  { name: 'unit', label: 'Unit (overrides the entity\'s)', selector: { text: {} } },
+  { name: 'precision', label: 'Decimal Places', selector: { number: { min: 0, max: 4, mode: 'box' } } },
+  { name: 'field', label: 'Reading for Conditions (optional)', selector: { select: { mode: 'dropdown', options: [
+    { value: 'temp', label: 'Temperature' },
+    { value: 'cycles', label: 'Cycles' },
+    { value: 'health', label: 'Health' },
+  ] } } },
+  { name: 'tap_action', label: 'Tap Action', selector: { ui_action: { default_action: 'more-info' } } },
+];
+
+// Below the stat rows on the Stats tab. A pattern (a string) can't go in an entity picker,
+// so cellsSchema swaps in a text field for it.
+const CELLS_SCHEMA = [
+  { name: 'cell_voltage_entities', label: 'Cell Voltage Entities', selector: { entity: { multiple: true, domain: 'sensor' } } },
+  { name: 'cell_temp_entities', label: 'Cell Temperature Entities', selector: { entity: { multiple: true, domain: 'sensor' } } },
+  { name: 'cell_delta_warning', label: 'Cell Delta Warning (mV)', selector: { number: { min: 1, max: 1000, mode: 'box' } } },
+];
+
+/**
+ * CELLS_SCHEMA for a config, with a text field for each entities option given as a pattern
+ * @param {Object} config - Card configuration
+ * @returns {{key: string, schema: Array<Object>}} Schema and the cache key it's stored under
+ */
+function cellsSchema(config) {
+  const patterns = CELLS_SCHEMA.filter(field => field.selector.entity && typeof config[field.name] === 'string')
+    .map(field => field.name);
+  return {
+    key: `cells:${patterns.join(',')}`,
+    schema: CELLS_SCHEMA.map(field => (patterns.includes(field.name) ? { ...field, selector: { text: {} } } : field)),
+  };
+}
+
+// Above the level rows on the SOC Colors tab
+const SOC_MODE_SCHEMA = [
+  { name: 'soc_colour_mode', label: 'Color Mode', selector: { select: { options: [
+    { value: 'step', label: 'Step (the level\'s color)' },
+    { value: 'gradient', label: 'Gradient (blend between levels)' },
+  ], mode: 'dropdown' } } },
+  { name: 'soc_gradient_arc', label: 'Paint the Ring as a Gradient (gradient mode)', selector: { boolean: {} } },
+];
+
+// One row of the SOC Colors tab, editing one soc_levels entry
+const SOC_LEVEL_SCHEMA = [
+  { name: 'from', label: 'From (%)', selector: { number: { min: 0, max: 100, mode: 'slider' } } },
+  { name: 'colour', label: 'Color', selector: { color_rgb: {} } },
+  { name: 'icon', label: 'Icon (optional)', selector: { icon: {} } },
+];
+
+// A level whose colour is a CSS variable name (e.g. --success-color) rather than RGB, which the
+// colour picker can neither show nor write back, edits it as text instead
+const SOC_LEVEL_CSS_SCHEMA = SOC_LEVEL_SCHEMA.map(field => (field.name === 'colour'
+  ? { ...field, label: 'CSS Variable Name (e.g. --success-color)', labelKey: 'colour_variable', selector: { text: {} } }
+  : field));
 
 const FILTERS_SCHEMA = [
   { name: 'enable_trickle_charge_filter', label: 'Enable Trickle Charge Filter', selector: { boolean: {} } },
   { name: 'trickle_charge_threshold', label: 'Filter Threshold (W)', selector: { number: { min: 0, max: 100, mode: 'slider' } } },
 ];
 
+const ACTIONS_SCHEMA = ACTION_ELEMENTS.map(element => ({
+  name: element.id,
+  type: 'expandable',
+  title: element.label,
+  schema: [
+    { name: 'tap_action', label: 'Tap Action', selector: { ui_action: { default_action: element.entityKeys.length ? 'more-info' : 'none' } } },
+    { name: 'hold_action', label: 'Hold Action', selector: { ui_action: { default_action: 'none' } } },
+    { name: 'double_tap_action', label: 'Double Tap Action', selector: { ui_action: { default_action: 'none' } } },
+  ],
+}));
+
 function getSchemaForTab(tabId) {
   switch (tabId) {
     case 'general': return GENERAL_SCHEMA;
     case 'entities': return ENTITIES_SCHEMA;
-    case 'stats': return STATS_SCHEMA;
-    case 'soc': return SOC_SCHEMA;
+    case 'stats': return [];  // rendered as a list of STAT_ITEM_SCHEMA rows instead
+    case 'soc': return [];  // rendered as a list of SOC_LEVEL_SCHEMA rows instead
     case 'filters': return FILTERS_SCHEMA;
+    case 'actions': return ACTIONS_SCHEMA;
     default: return [];
   }
 }
 
+// The badge editor's single form: the card's own fields for what a badge shows, and show_name
+const BADGE_SCHEMA = [
+  ...GENERAL_SCHEMA.filter(field => field.name === 'name'),
+  { name: 'show_name', label: 'Display Name', selector: { boolean: {} } },
+  ...ENTITIES_SCHEMA.filter(field => ['soc_entity', 'power_entity', 'invert_power'].includes(field.name)),
+];
+
+// The tile feature's form: the entities behind its bar, power and runtime line
+const FEATURE_SCHEMA = [
+  ...ENTITIES_SCHEMA.filter(field => [
+    'soc_entity', 'power_entity', 'invert_power', 'capacity_entity', 'capacity',
+    'reserve_entity', 'reserve', 'cutoff_entity', 'cutoff',
+  ].includes(field.name)),
+  ...GENERAL_SCHEMA.filter(field => field.name === 'show_runtime'),
+];
+
 // ============================================================================
 // EDITOR
 // ============================================================================
@@ -981,49 +3991,237 @@ class UniversalBatteryCardEditor extends LitElement {
     if (!this._config || !this.hass) return;
     const detail = ev.detail;
     if (detail && detail.value !== undefined) {
-      this._config = { ...this._config, ...detail.value };
+      const configKey = EDITOR_TABS.find(tab => tab.id === this._currentTab)?.configKey;
+      this._config = configKey
+        ? { ...this._config, [configKey]: detail.value }
+        : { ...this._config, ...detail.value };
       fireEvent(this, 'config-changed', { config: this._config });
     }
   }
 
   _computeLabel(schema) { return schema.label || schema.name; }
 
+  // Schemas translated into the user's language, built once per tab and language
+  _localizedSchema(key, schema) {
+    const language = this.hass?.language ?? 'en';
+    if (this._schemaCache?.language !== language) this._schemaCache = { language };
+    this._schemaCache[key] ??= localizeSchema(this.hass, schema);
+    return this._schemaCache[key];
+  }
+
+  // The SOC Colors tab edits soc_levels. A card still on the legacy threshold keys is shown
+  // its levels converted, and the first edit writes them out as soc_levels and drops the keys.
+  _setSocLevels(levels) {
+    const config = { ...this._config, soc_levels: levels };
+    for (const level of LEGACY_SOC_LEVELS) {
+      if (level.thresholdKey) delete config[level.thresholdKey];
+      delete config[level.colourKey];
+    }
+    this._config = config;
+    fireEvent(this, 'config-changed', { config: this._config });
+  }
+
+  _socLevelChanged(index, level) {
+    const levels = [...(this._config.soc_levels ?? socLevels(this._config))];
+    levels[index] = level;
+    this._setSocLevels(levels);
+  }
+
+  // Where a new level goes: halfway below the lowest, or when that's taken, the free whole
+  // percentage furthest from any level and from the ends, i.e. the middle of the widest gap.
+  // Null once every percentage has a level.
+  _nextSocLevelFrom(levels) {
+    const froms = levels.map(level => level.from);
+    const free = [...Array(101).keys()].filter(n => !froms.includes(n));
+    if (!free.length) return null;
+    const below = Math.floor(Math.min(...froms) / 2);
+    if (free.includes(below)) return below;
+    const room = (n) => Math.min(...[...froms, 0, 100].map(edge => Math.abs(n - edge)));
+    return free.reduce((best, n) => (room(n) > room(best) ? n : best));
+  }
+
+  _addSocLevel() {
+    const levels = this._config.soc_levels ?? socLevels(this._config);
+    const from = this._nextSocLevelFrom(levels);
+    if (from === null) return;
+    this._setSocLevels([...levels, { from, colour: [139, 0, 0] }]);
+  }
+
+  _removeSocLevel(index) {
+    const levels = (this._config.soc_levels ?? socLevels(this._config)).filter((_, i) => i !== index);
+    if (levels.length) this._setSocLevels(levels);
+  }
+
+  _renderSocLevels() {
+    const levels = this._config.soc_levels ?? socLevels(this._config);
+    return html`
+      <ha-form
+        .hass=${this.hass}
+        .data=${this._config}
+        .schema=${this._localizedSchema('soc_mode', SOC_MODE_SCHEMA)}
+        .computeLabel=${this._computeLabel}
+        @value-changed=${this._valueChanged}
+      ></ha-form>
+      ${this._renderListRows({
+        items: levels,
+        schemaFor: (level) => (typeof level.colour === 'string'
+          ? ['soc_level_css', SOC_LEVEL_CSS_SCHEMA]
+          : ['soc_level', SOC_LEVEL_SCHEMA]),
+        removeLabel: localize(this.hass, 'editor.button.remove_level', {}, 'Remove level'),
+        canRemove: levels.length > 1,
+        onChange: (i, level) => this._socLevelChanged(i, level),
+        onRemove: (i) => this._removeSocLevel(i),
+      })}
+      <ha-button .disabled=${this._nextSocLevelFrom(levels) === null} @click=${this._addSocLevel}>${localize(this.hass, 'editor.button.add_level', {}, 'Add level')}</ha-button>
+    `;
+  }
+
+  // The Stats tab edits `stats:`. A card still on temp/cycles/health_entity is shown them as
+  // entries, and the first edit writes them out — with their translated labels, their field
+  // for conditions, and any gestures set for them under `actions:` — and drops the old keys.
+  _statEntries() {
+    if (Array.isArray(this._config.stats)) return this._config.stats;
+    return statItems(this._config).map(item => {
+      const entry = { entity: item.entity, label: localize(this.hass, item.labelKey), field: item.field };
+      // A temperature without a unit of its own showed °C, and keeps it as a stats: entry
+      const entityUnit = this.hass?.states[item.entity]?.attributes?.unit_of_measurement;
+      const unit = item.unit ?? (entityUnit ? undefined : item.defaultUnit);
+      if (unit) entry.unit = unit;
+      for (const gesture of ACTION_GESTURES) {
+        const action = this._config.actions?.[item.actionId]?.[`${gesture}_action`];
+        if (action) entry[`${gesture}_action`] = action;
+      }
+      return entry;
+    });
+  }
+
+  _setStatEntries(entries) {
+    const config = { ...this._config, stats: entries };
+    if (!Array.isArray(this._config.stats)) {
+      for (const legacy of LEGACY_STATS) delete config[legacy.key];
+      if (config.actions) {
+        const actions = { ...config.actions };
+        for (const legacy of LEGACY_STATS) delete actions[legacy.actionId];
+        if (Object.keys(actions).length) config.actions = actions;
+        else delete config.actions;
+      }
+    }
+    this._config = config;
+    fireEvent(this, 'config-changed', { config: this._config });
+  }
+
+  _renderStatEntries() {
+    const entries = this._statEntries();
+    return html`
+      ${this._renderListRows({
+        items: entries,
+        schemaKey: 'stat_item',
+        schema: STAT_ITEM_SCHEMA,
+        removeLabel: localize(this.hass, 'editor.button.remove_stat', {}, 'Remove stat'),
+        canRemove: true,
+        onChange: (i, entry) => this._setStatEntries(entries.map((e, j) => (j === i ? entry : e))),
+        onRemove: (i) => this._setStatEntries(entries.filter((_, j) => j !== i)),
+      })}
+      <ha-button @click=${() => this._setStatEntries([...entries, { entity: '' }])}>
+        ${localize(this.hass, 'editor.button.add_stat', {}, 'Add stat')}
+      </ha-button>
+    `;
+  }
+
+  // The cells strip's options, under the stat rows
+  _renderCellsForm() {
+    const { key, schema } = cellsSchema(this._config);
+    return html`
+      <div class="helper-text section">
+        ${localize(this.hass, 'editor.help.cells', {}, 'Cell voltage sensors for the cells strip under the gauges, in cell order. In YAML either list can instead be a pattern, such as sensor.bms_cell_*_voltage.')}
+      </div>
+      <ha-form
+        .hass=${this.hass}
+        .data=${this._config}
+        .schema=${this._localizedSchema(key, schema)}
+        .computeLabel=${this._computeLabel}
+        @value-changed=${this._valueChanged}
+      ></ha-form>
+    `;
+  }
+
+  // Rows of a list option — soc_levels, stats — each an ha-form with a remove button. Fields
+  // left empty are dropped from the entry rather than saved as blanks. schemaFor, when given,
+  // picks a row's schema (and its cache key) from the entry itself.
+  _renderListRows({ items, schemaKey, schema, schemaFor, removeLabel, canRemove, onChange, onRemove }) {
+    const changed = (i, ev) => {
+      ev.stopPropagation();
+      const entry = Object.fromEntries(Object.entries(ev.detail.value)
+        .filter(([, v]) => v !== '' && v !== null && v !== undefined));
+      onChange(i, entry);
+    };
+    return items.map((item, i) => {
+      const [key, rowSchema] = schemaFor ? schemaFor(item) : [schemaKey, schema];
+      return html`
+        <div class="list-row">
+          <ha-form
+            .hass=${this.hass}
+            .data=${item}
+            .schema=${this._localizedSchema(key, rowSchema)}
+            .computeLabel=${this._computeLabel}
+            @value-changed=${(ev) => changed(i, ev)}
+          ></ha-form>
+          <ha-icon-button .label=${removeLabel} .disabled=${!canRemove} @click=${() => onRemove(i)}>
+            <ha-icon icon="mdi:delete"></ha-icon>
+          </ha-icon-button>
+        </div>
+      `;
+    });
+  }
+
   render() {
     if (!this.hass || !this._config) return html``;
 
+    const configKey = EDITOR_TABS.find(tab => tab.id === this._currentTab)?.configKey;
+
     return html`
       <div class="card-config">
         <div class="tab-bar">
           ${EDITOR_TABS.map(tab => html`
             <div class="tab ${this._currentTab === tab.id ? 'active' : ''}"
                  @click=${() => this._currentTab = tab.id}>
-              ${tab.label}
+              ${localize(this.hass, `editor.tab.${tab.id}`, {}, tab.label)}
             </div>
           `)}
         </div>
         <div class="tab-content">
           ${this._currentTab === 'entities' ? html`
             <div class="helper-text">
-              For static values (capacity, reserve, rates, cutoff), you can either select an entity OR enter a fixed value. Fixed values take priority.
+              ${localize(this.hass, 'editor.help.entities', {}, 'For static values (capacity, reserve, rates, cutoff), you can either select an entity OR enter a fixed value. Fixed values take priority.')}
             </div>
           ` : ''}
           ${this._currentTab === 'stats' ? html`
             <div class="helper-text">
-              Optional battery stats displayed in top-right panel. Stats panel only appears if at least one entity is configured.
+              ${localize(this.hass, 'editor.help.stats', {}, 'Entities shown in the stats panel at the top right, in this order. The panel only appears when at least one of them has a value.')}
             </div>
           ` : ''}
           ${this._currentTab === 'soc' ? html`
             <div class="helper-text">
-              Set color thresholds for SOC levels. "Very Low" color applies to any value below the "Low" threshold.
+              ${localize(this.hass, 'editor.help.soc', {}, "Each level's color (and optional icon) applies from its percentage up to the next level. The lowest level also covers anything below it.")}
             </div>
           ` : ''}
-          <ha-form
-            .hass=${this.hass}
-            .data=${this._config}
-            .schema=${getSchemaForTab(this._currentTab)}
-            .computeLabel=${this._computeLabel}
-            @value-changed=${this._valueChanged}
-          ></ha-form>
+          ${this._currentTab === 'actions' ? html`
+            <div class="helper-text">
+              ${localize(this.hass, 'editor.help.actions', {}, "What tapping, holding or double-tapping each part of the card does. By default a tap opens the element's entity and nothing else is bound.")}
+            </div>
+          ` : ''}
+          ${this._currentTab === 'soc' ? this._renderSocLevels() : this._currentTab === 'stats' ? html`
+            ${this._renderStatEntries()}
+            ${this._renderCellsForm()}
+          ` : html`
+            <ha-form
+              .hass=${this.hass}
+              .data=${configKey ? (this._config[configKey] ?? {}) : this._config}
+              .schema=${this._localizedSchema(this._currentTab, getSchemaForTab(this._currentTab))}
+              .computeLabel=${this._computeLabel}
+              @value-changed=${this._valueChanged}
+            ></ha-form>
+          `}
         </div>
       </div>
     `;
@@ -1034,6 +4232,57 @@ if (!customElements.get('universal-battery-card-editor')) {
   customElements.define('universal-battery-card-editor', UniversalBatteryCardEditor);
 }
 
+// The badge's editor is one form, and unlike the card's it writes back only what was set:
+// badges live many to a view, where a full set of defaults per badge would swamp the YAML.
+// The tile feature's editor is the same form over its own fields.
+class UniversalBatteryBadgeEditor extends LitElement {
+  static get properties() {
+    return {
+      hass: { attribute: false },
+      _config: { state: true },
+    };
+  }
+
+  static get styles() { return editorStyles; }
+
+  get _schema() { return BADGE_SCHEMA; }
+
+  setConfig(config) {
+    this._config = config;
+  }
+
+  _valueChanged(ev) {
+    if (!this._config || !this.hass || ev.detail?.value === undefined) return;
+    this._config = { ...this._config, ...ev.detail.value };
+    fireEvent(this, 'config-changed', { config: this._config });
+  }
+
+  render() {
+    if (!this.hass || !this._config) return html``;
+    return html`
+      <ha-form
+        .hass=${this.hass}
+        .data=${this._config}
+        .schema=${localizeSchema(this.hass, this._schema)}
+        .computeLabel=${(schema) => schema.label || schema.name}
+        @value-changed=${this._valueChanged}
+      ></ha-form>
+    `;
+  }
+}
+
+if (!customElements.get('universal-battery-badge-editor')) {
+  customElements.define('universal-battery-badge-editor', UniversalBatteryBadgeEditor);
+}
+
+class UniversalBatteryFeatureEditor extends UniversalBatteryBadgeEditor {
+  get _schema() { return FEATURE_SCHEMA; }
+}
+
+if (!customElements.get('universal-battery-feature-editor')) {
+  customElements.define('universal-battery-feature-editor', UniversalBatteryFeatureEditor);
+}
+
 // ============================================================================
 // MAIN CARD
 // ============================================================================
@@ -1043,6 +4292,12 @@ class UniversalBatteryCard extends LitElement {
     return {
       hass: { attribute: false },
       _config: { state: true },
+      _history: { state: true },
+      _energyToday: { state: true },
+      _scheduleWindows: { state: true },
+      _templateResults: { state: true },
+      _markerDrag: { state: true },
+      _modeMenuOpen: { state: true },
     };
   }
 
@@ -1063,6 +4318,11 @@ class UniversalBatteryCard extends LitElement {
 
   connectedCallback() {
     super.connectedCallback();
+    // States that arrived while detached were never sampled, so the history strip re-fetches.
+    this._historyKey = null;
+    // The statistics and schedule refresh timers stop while detached, so both re-fetch too.
+    this._energyKey = null;
+    this._scheduleKey = null;
     // Wrap in try/catch so a failure here (e.g. missing browser API on an old
     // WebView) doesn't propagate up and render the card as a generic
     // "Configuration error" — the card can still render at CSS-default sizes.
@@ -1104,6 +4364,17 @@ class UniversalBatteryCard extends LitElement {
       cancelAnimationFrame(this._resizeRaf);
       this._resizeRaf = null;
     }
+    clearTimeout(this._holdTimer);
+    clearTimeout(this._pendingTap?.timer);
+    this._pendingTap = null;
+    clearTimeout(this._energyTimer);
+    this._energyKey = null;
+    clearTimeout(this._scheduleTimer);
+    this._scheduleKey = null;
+    clearTimeout(this._markerSettleTimer);
+    this._markerDrag = null;
+    this._closeModeMenu();
+    for (const field of Object.keys(this._templateSubs ?? {})) this._unsubscribeTemplate(field);
   }
 
   setConfig(config) {
@@ -1151,34 +4422,73 @@ class UniversalBatteryCard extends LitElement {
     inRange('gauge_thickness', 5, 15);
     inRange('power_gauge_scale', 30, 100);
     inRange('trickle_charge_threshold', 0, 10000);
+    inRange('history_hours', 1, 168);
+    inRange('power_average_minutes', 0, 1440);
+    inRange('house_load', 0, 100000);
+    inRange('cell_delta_warning', 1, 1000);
+    inRange('stored_energy_price', 0, 1000);
+    inRange('charge_efficiency', 50, 100);
+    inRange('nominal_voltage', 1, 2000);
     for (const k of ['soc_threshold_very_high', 'soc_threshold_high', 'soc_threshold_medium', 'soc_threshold_low']) {
       inRange(k, 0, 100);
     }
 
-    // SOC thresholds must be strictly descending (very_high > high > medium > low).
-    const merged = { ...DEFAULT_CONFIG, ...config };
-    const order = [
-      ['soc_threshold_very_high', merged.soc_threshold_very_high],
-      ['soc_threshold_high', merged.soc_threshold_high],
-      ['soc_threshold_medium', merged.soc_threshold_medium],
-      ['soc_threshold_low', merged.soc_threshold_low],
-    ];
-    for (let i = 1; i < order.length; i++) {
-      const [prevKey, prev] = order[i - 1];
-      const [key, val] = order[i];
-      if (val >= prev) {
-        throw new Error(`${prevKey} (${prev}) must be greater than ${key} (${val})`);
+    // Legacy SOC thresholds must be strictly descending (very_high > high > medium > low).
+    // They are ignored once soc_levels is set, so only checked without it.
+    if (config.soc_levels === undefined || config.soc_levels === null) {
+      const order = LEGACY_SOC_LEVELS.filter(level => level.thresholdKey)
+        .map(level => [level.thresholdKey, config[level.thresholdKey] ?? level.from]);
+      for (let i = 1; i < order.length; i++) {
+        const [prevKey, prev] = order[i - 1];
+        const [key, val] = order[i];
+        if (val >= prev) {
+          throw new Error(`${prevKey} (${prev}) must be greater than ${key} (${val})`);
+        }
       }
     }
 
     // Colours: either a CSS variable name (string) or an [r,g,b] tuple of 0-255 ints.
-    for (const k of ['soc_colour_very_high', 'soc_colour_high', 'soc_colour_medium', 'soc_colour_low', 'soc_colour_very_low', 'gauge_track_colour']) {
-      const v = config[k];
-      if (v === undefined || v === null) continue;
-      if (typeof v === 'string') continue; // accept any string (CSS var / colour name)
+    const checkColour = (k, v) => {
+      if (v === undefined || v === null) return;
+      // resolveColour wraps a string in var(), so only a variable name works there
+      if (typeof v === 'string' && v.startsWith('--')) return;
       if (!Array.isArray(v) || v.length !== 3 || !v.every(n => Number.isInteger(n) && n >= 0 && n <= 255)) {
         throw new Error(`${k} must be a CSS variable name or an [r, g, b] array of integers 0-255 (got ${JSON.stringify(v)})`);
       }
+    };
+    for (const k of ['soc_colour_very_high', 'soc_colour_high', 'soc_colour_medium', 'soc_colour_low', 'soc_colour_very_low', 'gauge_track_colour']) {
+      checkColour(k, config[k]);
+    }
+
+    // soc_levels: { from, colour, icon? } entries, any number, any order
+    if (config.soc_levels !== undefined && config.soc_levels !== null) {
+      if (!Array.isArray(config.soc_levels) || !config.soc_levels.length) {
+        throw new Error(`soc_levels must be a non-empty list (got ${JSON.stringify(config.soc_levels)})`);
+      }
+      config.soc_levels.forEach((level, i) => {
+        const prefix = `soc_levels[${i}]`;
+        if (!level || typeof level !== 'object') throw new Error(`${prefix} must be an object with from and colour`);
+        if (typeof level.from !== 'number' || !Number.isFinite(level.from) || level.from < 0 || level.from > 100) {
+          throw new Error(`${prefix}.from must be a number between 0 and 100 (got ${JSON.stringify(level.from)})`);
+        }
+        if (level.colour === undefined || level.colour === null) throw new Error(`${prefix}.colour is required`);
+        checkColour(`${prefix}.colour`, level.colour);
+        if (level.icon !== undefined && typeof level.icon !== 'string') {
+          throw new Error(`${prefix}.icon must be an icon name such as mdi:battery-alert (got ${JSON.stringify(level.icon)})`);
+        }
+      });
+    }
+
+    // soc_colour_mode enum
+    if (config.soc_colour_mode !== undefined && !['step', 'gradient'].includes(config.soc_colour_mode)) {
+      throw new Error(`soc_colour_mode must be 'step' or 'gradient' (got ${JSON.stringify(config.soc_colour_mode)})`);
+    }
+
+    // Templates are Jinja source strings, rendered by Home Assistant
+    for (const key of Object.values(TEMPLATE_FIELDS)) {
+      if (config[key] !== undefined && config[key] !== null && typeof config[key] !== 'string') {
+        throw new Error(`${key} must be a template string (got ${JSON.stringify(config[key])})`);
+      }
     }
 
     // header_style enum
@@ -1186,11 +4496,21 @@ class UniversalBatteryCard extends LitElement {
       throw new Error(`header_style must be 'full', 'title', or 'none' (got ${JSON.stringify(config.header_style)})`);
     }
 
+    // layout enum
+    if (config.layout !== undefined && !['rings', 'bar'].includes(config.layout)) {
+      throw new Error(`layout must be 'rings' or 'bar' (got ${JSON.stringify(config.layout)})`);
+    }
+
     // gauge_label_position enum
     if (config.gauge_label_position !== undefined && !['above', 'below'].includes(config.gauge_label_position)) {
       throw new Error(`gauge_label_position must be 'above' or 'below' (got ${JSON.stringify(config.gauge_label_position)})`);
     }
 
+    // runtime_estimate enum
+    if (config.runtime_estimate !== undefined && !['average', 'now', 'both'].includes(config.runtime_estimate)) {
+      throw new Error(`runtime_estimate must be 'average', 'now', or 'both' (got ${JSON.stringify(config.runtime_estimate)})`);
+    }
+
     // date_format / time_format enums
     if (config.date_format !== undefined && !['auto', 'MM/DD', 'DD/MM'].includes(config.date_format)) {
       throw new Error(`date_format must be 'auto', 'MM/DD', or 'DD/MM' (got ${JSON.stringify(config.date_format)})`);
@@ -1200,17 +4520,238 @@ class UniversalBatteryCard extends LitElement {
     }
 
     // Entity IDs: must look like 'domain.entity_id' when provided.
+    const checkEntityId = (key, v) => {
+      if (!v) return;
+      if (typeof v !== 'string' || !/^[a-z_]+\.[a-z0-9_]+$/.test(v)) {
+        throw new Error(`${key} must be an entity id like 'sensor.foo' (got ${JSON.stringify(v)})`);
+      }
+    };
     const entityKeys = [
-      'soc_entity', 'power_entity', 'capacity_entity', 'state_entity', 'mode_entity',
+      'soc_entity', 'power_entity', 'charge_power_entity', 'discharge_power_entity',
+      'voltage_entity', 'current_entity', 'soc_energy_entity', 'capacity_entity', 'state_entity', 'mode_entity',
       'temp_entity', 'cycles_entity', 'health_entity', 'cutoff_entity',
-      'charge_rate_entity', 'discharge_rate_entity',
+      'charge_rate_entity', 'discharge_rate_entity', 'charge_energy_entity', 'discharge_energy_entity',
+      'solar_forecast_entity', 'house_load_entity', 'solar_power_entity', 'grid_power_entity', 'price_entity',
     ];
-    for (const k of entityKeys) {
-      const v = config[k];
-      if (!v) continue;
-      if (typeof v !== 'string' || !/^[a-z_]+\.[a-z0-9_]+$/.test(v)) {
-        throw new Error(`${k} must be an entity id like 'sensor.foo' (got ${JSON.stringify(v)})`);
+    for (const k of entityKeys) checkEntityId(k, config[k]);
+
+    // SOC comes from soc_entity, or is derived from soc_energy_entity and a capacity.
+    const checkSocSource = (prefix, source) => {
+      if (source.soc_entity) return;
+      if (!source.soc_energy_entity || !(source.capacity || source.capacity_entity)) {
+        throw new Error(`${prefix}soc_entity is required, or soc_energy_entity with capacity or capacity_entity to derive SOC from`);
+      }
+    };
+    // A config with no battery entities yet is the editor's starting point, shown as a preview.
+    if (!hasBatteryList(config) && (config.soc_energy_entity || powerEntityIds(config).length)) {
+      checkSocSource('', config);
+    }
+
+    // The unsigned power pair and voltage × current only work as pairs; power_entity takes
+    // precedence over both, and the power pair over voltage × current.
+    const checkPowerPair = (prefix, source) => {
+      if (source.power_entity) return;
+      if (!!source.charge_power_entity !== !!source.discharge_power_entity) {
+        throw new Error(`${prefix}charge_power_entity and ${prefix}discharge_power_entity must be set together`);
+      }
+      if (usesVoltageCurrent(source) && !(source.voltage_entity && source.current_entity)) {
+        throw new Error(`${prefix}voltage_entity and ${prefix}current_entity must be set together`);
+      }
+    };
+    checkPowerPair('', config);
+
+    // actions: per-element tap/hold/double-tap action objects, HA-style ({ action: ... }).
+    if (config.actions !== undefined && config.actions !== null) {
+      if (typeof config.actions !== 'object' || Array.isArray(config.actions)) {
+        throw new Error(`actions must be a map of card elements to actions (got ${JSON.stringify(config.actions)})`);
+      }
+      const elements = ACTION_ELEMENTS.map(el => el.id);
+      for (const [element, gestures] of Object.entries(config.actions)) {
+        if (!elements.includes(element)) {
+          throw new Error(`actions.${element} is not a card element; expected one of ${elements.join(', ')}`);
+        }
+        for (const gesture of ACTION_GESTURES) {
+          const action = gestures?.[`${gesture}_action`];
+          if (action === undefined || action === null) continue;
+          // Any action type goes: HA's hass-action handler ignores ones it doesn't know, and
+          // custom ones (browser_mod's fire-dom-event) are handled elsewhere.
+          if (typeof action?.action !== 'string') {
+            throw new Error(`actions.${element}.${gesture}_action.action must be an action type like 'more-info' (got ${JSON.stringify(action?.action)})`);
+          }
+        }
+      }
+    }
+
+    // schedule_entities: bare entity ids or { entity, end_entity, name, type, colour }
+    if (config.schedule_entities !== undefined && config.schedule_entities !== null) {
+      if (!Array.isArray(config.schedule_entities)) {
+        throw new Error(`schedule_entities must be a list (got ${JSON.stringify(config.schedule_entities)})`);
+      }
+      config.schedule_entities.forEach((item, i) => {
+        const prefix = `schedule_entities[${i}]`;
+        const entity = typeof item === 'string' ? item : item?.entity;
+        if (!entity) throw new Error(`${prefix} must be an entity id or an object with entity`);
+        checkEntityId(prefix, entity);
+        const domain = entity.split('.')[0];
+        if (!SCHEDULE_DOMAINS.includes(domain)) {
+          throw new Error(`${prefix} must be a ${SCHEDULE_DOMAINS.join(' / ')} entity (got ${JSON.stringify(entity)})`);
+        }
+        if (typeof item === 'string') return;
+        checkEntityId(`${prefix}.end_entity`, item.end_entity);
+        if (item.end_entity && !['time', 'input_datetime'].includes(domain)) {
+          throw new Error(`${prefix}.end_entity only applies to time and input_datetime entities`);
+        }
+        if (item.type !== undefined && !['charge', 'discharge'].includes(item.type)) {
+          throw new Error(`${prefix}.type must be 'charge' or 'discharge' (got ${JSON.stringify(item.type)})`);
+        }
+        checkColour(`${prefix}.colour`, item.colour);
+      });
+    }
+
+    // cell_voltage_entities / cell_temp_entities: a list of entity ids, or one pattern with *
+    for (const key of ['cell_voltage_entities', 'cell_temp_entities']) {
+      const v = config[key];
+      if (v === undefined || v === null) continue;
+      if (typeof v === 'string') {
+        if (!/^[a-z_*]+\.[a-z0-9_*]+$/.test(v)) {
+          throw new Error(`${key} must be a list of entity ids or a pattern like 'sensor.bms_cell_*_voltage' (got ${JSON.stringify(v)})`);
+        }
+      } else if (Array.isArray(v)) {
+        v.forEach((entity, i) => checkEntityId(`${key}[${i}]`, entity));
+      } else {
+        throw new Error(`${key} must be a list of entity ids or a pattern like 'sensor.bms_cell_*_voltage' (got ${JSON.stringify(v)})`);
+      }
+    }
+
+    // mode_options: { <option>: { label, icon } } for the mode text and its dropdown
+    if (config.mode_options !== undefined && config.mode_options !== null) {
+      if (typeof config.mode_options !== 'object' || Array.isArray(config.mode_options)) {
+        throw new Error(`mode_options must be a map of option to { label, icon } (got ${JSON.stringify(config.mode_options)})`);
+      }
+      for (const [option, entry] of Object.entries(config.mode_options)) {
+        if (!entry || typeof entry !== 'object') throw new Error(`mode_options.${option} must be an object with label and/or icon`);
+        for (const key of ['label', 'icon']) {
+          if (entry[key] !== undefined && typeof entry[key] !== 'string') {
+            throw new Error(`mode_options.${option}.${key} must be a string (got ${JSON.stringify(entry[key])})`);
+          }
+        }
+      }
+    }
+
+    // stats: { entity, label, icon, unit, precision, *_action } entries for the stats panel
+    if (config.stats !== undefined && config.stats !== null) {
+      if (!Array.isArray(config.stats)) {
+        throw new Error(`stats must be a list (got ${JSON.stringify(config.stats)})`);
+      }
+      config.stats.forEach((item, i) => {
+        const prefix = `stats[${i}]`;
+        if (!item || typeof item !== 'object') throw new Error(`${prefix} must be an object with an entity`);
+        // The editor adds rows before their entity is picked
+        if (item.entity) checkEntityId(`${prefix}.entity`, item.entity);
+        for (const key of ['label', 'icon', 'unit']) {
+          if (item[key] !== undefined && typeof item[key] !== 'string') {
+            throw new Error(`${prefix}.${key} must be a string (got ${JSON.stringify(item[key])})`);
+          }
+        }
+        if (item.precision !== undefined && !(Number.isInteger(item.precision) && item.precision >= 0 && item.precision <= 4)) {
+          throw new Error(`${prefix}.precision must be a whole number between 0 and 4 (got ${JSON.stringify(item.precision)})`);
+        }
+        const fields = LEGACY_STATS.map(legacy => legacy.field);
+        if (item.field !== undefined && item.field !== null && !fields.includes(item.field)) {
+          throw new Error(`${prefix}.field must be one of ${fields.join(', ')} (got ${JSON.stringify(item.field)})`);
+        }
+        for (const gesture of ACTION_GESTURES) {
+          const action = item[`${gesture}_action`];
+          if (action === undefined || action === null) continue;
+          if (typeof action?.action !== 'string') {
+            throw new Error(`${prefix}.${gesture}_action.action must be an action type like 'more-info' (got ${JSON.stringify(action?.action)})`);
+          }
+        }
+      });
+    }
+
+    // conditions: rules on a card field or an entity, with effects
+    if (config.conditions !== undefined && config.conditions !== null) {
+      if (!Array.isArray(config.conditions)) {
+        throw new Error(`conditions must be a list (got ${JSON.stringify(config.conditions)})`);
+      }
+      config.conditions.forEach((rule, i) => {
+        const prefix = `conditions[${i}]`;
+        if (!rule || typeof rule !== 'object') throw new Error(`${prefix} must be an object`);
+        if (!rule.field === !rule.entity) throw new Error(`${prefix} must set exactly one of field or entity`);
+        if (rule.field && !CONDITION_FIELDS.includes(rule.field)) {
+          throw new Error(`${prefix}.field must be one of ${CONDITION_FIELDS.join(', ')} (got ${JSON.stringify(rule.field)})`);
+        }
+        checkEntityId(`${prefix}.entity`, rule.entity);
+        const ops = CONDITION_OPERATORS.filter(op => rule[op] !== undefined);
+        if (!ops.length) throw new Error(`${prefix} needs a comparison: ${CONDITION_OPERATORS.join(', ')}`);
+        for (const op of ops) {
+          const v = rule[op];
+          const ok = op === 'equals'
+            ? ['string', 'number', 'boolean'].includes(typeof v)
+            : (typeof v === 'number' && Number.isFinite(v)) || CONDITION_FIELDS.includes(v);
+          if (!ok) {
+            throw new Error(`${prefix}.${op} must be a number or a field name (got ${JSON.stringify(v)})`);
+          }
+        }
+        if (!rule.pulse && !rule.border && !rule.icon && !rule.badge) {
+          throw new Error(`${prefix} needs an effect: pulse, border, icon or badge`);
+        }
+        if (rule.priority !== undefined && (typeof rule.priority !== 'number' || !Number.isFinite(rule.priority))) {
+          throw new Error(`${prefix}.priority must be a number (got ${JSON.stringify(rule.priority)})`);
+        }
+        for (const key of ['icon', 'badge', 'attribute']) {
+          if (rule[key] !== undefined && typeof rule[key] !== 'string') {
+            throw new Error(`${prefix}.${key} must be a string (got ${JSON.stringify(rule[key])})`);
+          }
+        }
+        checkColour(`${prefix}.colour`, rule.colour);
+      });
+    }
+
+    // batteries: one entry per pack, each needing its own SOC and power source.
+    if (config.batteries !== undefined && config.batteries !== null) {
+      if (!Array.isArray(config.batteries)) {
+        throw new Error(`batteries must be a list of packs (got ${JSON.stringify(config.batteries)})`);
       }
+      config.batteries.forEach((pack, i) => {
+        const prefix = `batteries[${i}]`;
+        if (!pack || typeof pack !== 'object' || Array.isArray(pack)) {
+          throw new Error(`${prefix} must be an object with soc_entity and power_entity (got ${JSON.stringify(pack)})`);
+        }
+        if (!powerEntityIds(pack).length) {
+          throw new Error(`${prefix} needs either power_entity, charge_power_entity + discharge_power_entity, or voltage_entity + current_entity`);
+        }
+        checkSocSource(`${prefix}.`, pack);
+        checkPowerPair(`${prefix}.`, pack);
+        for (const k of ['soc_entity', 'soc_energy_entity', 'power_entity', 'charge_power_entity', 'discharge_power_entity', 'voltage_entity', 'current_entity', 'capacity_entity']) {
+          checkEntityId(`${prefix}.${k}`, pack[k]);
+        }
+        const cap = pack.capacity;
+        if (cap !== undefined && cap !== null && (typeof cap !== 'number' || !Number.isFinite(cap) || cap < 0)) {
+          throw new Error(`${prefix}.capacity must be a non-negative number in kWh (got ${JSON.stringify(cap)})`);
+        }
+        const volts = pack.nominal_voltage;
+        if (volts !== undefined && volts !== null && (typeof volts !== 'number' || !Number.isFinite(volts) || volts < 1 || volts > 2000)) {
+          throw new Error(`${prefix}.nominal_voltage must be a number between 1 and 2000 (got ${JSON.stringify(volts)})`);
+        }
+      });
+    }
+  }
+
+  willUpdate(changedProps) {
+    super.willUpdate?.(changedProps);
+    if (changedProps.has('hass') || changedProps.has('_config')) {
+      this._trackHistory();
+      this._trackEnergyToday();
+      this._trackSchedules();
+      this._trackTemplates();
+    }
+    // A released marker lets go of its value once the entity reports a change
+    const drag = this._markerDrag;
+    if (drag && !drag.dragging && changedProps.has('hass') && this.hass?.states[drag.entityId]?.state !== drag.fromState) {
+      clearTimeout(this._markerSettleTimer);
+      this._markerDrag = null;
     }
   }
 
@@ -1223,6 +4764,157 @@ class UniversalBatteryCard extends LitElement {
     if (this.isConnected && this.clientWidth > 0) {
       this._updateGaugeSize(this.clientWidth, this.clientHeight);
     }
+    this._paintGradientArc();
+  }
+
+  // How far back the card keeps SOC/power history: whichever is longest of the sparkline's
+  // window, the power averaging window and — when today's energy has to be integrated from
+  // power — a day, which always reaches back to midnight. 0 when nothing uses it.
+  _historyWindowHours() {
+    const c = this._config;
+    const sparkline = c.show_history ? (c.history_hours ?? 24) : 0;
+    const averaging = (c.power_average_minutes ?? 0) / 60;
+    const integrating = c.show_energy_today && !(c.charge_energy_entity && c.discharge_energy_entity) ? 24 : 0;
+    return Math.max(sparkline, averaging, integrating);
+  }
+
+  // Whether anything reads power history: the sparkline's power line, the power average, or
+  // today's energy integrated from power. Without one, only SOC is fetched and kept, as power
+  // sensors update often enough to make a long window costly to pull for nothing.
+  _historyNeedsPower() {
+    const c = this._config;
+    return !!(c.show_history && c.history_show_power)
+      || (c.power_average_minutes ?? 0) > 0
+      || !!(c.show_energy_today && !(c.charge_energy_entity && c.discharge_energy_entity));
+  }
+
+  // Keeps today's charged/discharged energy current from long-term statistics: fetched when
+  // the entities change and then every ENERGY_REFRESH_MS. A direction without an energy entity
+  // is integrated from power instead, in _energyTodayStats.
+  _trackEnergyToday() {
+    const c = this._config;
+    if (!this.hass) return;
+    const entityIds = [c?.charge_energy_entity, c?.discharge_energy_entity];
+    if (!c?.show_energy_today || !entityIds.some(Boolean)) {
+      // Turned off or no energy entities left: stop the statistics polling
+      clearTimeout(this._energyTimer);
+      this._energyKey = null;
+      return;
+    }
+    const key = JSON.stringify(entityIds);
+    if (this._energyKey === key) return;
+    this._energyKey = key;
+    this._energyToday = null;
+    this._fetchEnergyToday(key, entityIds);
+  }
+
+  async _fetchEnergyToday(key, [chargeId, dischargeId]) {
+    clearTimeout(this._energyTimer);
+    const changeToday = async (statisticId) => {
+      if (!statisticId) return null;
+      try {
+        const result = await this.hass.callWS({
+          type: 'recorder/statistic_during_period',
+          statistic_id: statisticId,
+          calendar: { period: 'day' },
+          types: ['change'],
+          units: { energy: 'Wh' },
+        });
+        return Number.isFinite(result?.change) ? result.change : null;
+      } catch (err) {
+        console.warn(`[universal-battery-card] statistics fetch for ${statisticId} failed:`, err);
+        return null;
+      }
+    };
+    const [chargedWh, dischargedWh] = await Promise.all([changeToday(chargeId), changeToday(dischargeId)]);
+    if (this._energyKey !== key) return; // config changed or card detached while in flight
+    this._energyToday = { chargedWh, dischargedWh };
+    this._energyTimer = setTimeout(() => this._fetchEnergyToday(key, [chargeId, dischargeId]), ENERGY_REFRESH_MS);
+  }
+
+  // Keeps the recorded history current for the sparkline and the power average: (re)fetches
+  // from the recorder when the entities or the window change, and otherwise appends the live
+  // reading to what was fetched. Runs from willUpdate, so the appended sample lands in the
+  // same render as the state that produced it.
+  _trackHistory() {
+    const c = this._config;
+    if (!this.hass || !c) return;
+    const hours = this._historyWindowHours();
+    if (!hours) {
+      // Nothing needs history any more: drop it, so turning the same window back on re-fetches
+      // rather than appending to a series with a gap in it
+      this._historyKey = null;
+      this._history = null;
+      return;
+    }
+    const sources = hasBatteryList(c) ? c.batteries : [c];
+    const withPower = this._historyNeedsPower();
+    const entityIds = [...new Set(sources.flatMap(s => [socEntityId(s), ...(withPower ? powerEntityIds(s) : [])]).filter(Boolean))];
+    // The power series is stored trickle-filtered, so a change to the filter re-fetches it
+    const trickle = c.enable_trickle_charge_filter ? (c.trickle_charge_threshold ?? 25) : null;
+    const key = JSON.stringify([entityIds, hours, withPower, trickle]);
+    if (this._historyKey !== key) {
+      this._fetchHistory(key, entityIds, sources, hours);
+      return;
+    }
+    if (!this._history) return; // still loading
+    const reading = this._readBatteries();
+    if (!reading) return;
+    const now = Date.now();
+    const windowStart = now - hours * 3600000;
+    const soc = appendSample(this._history.soc, now, reading.socPercent, windowStart);
+    const power = withPower
+      ? appendSample(this._history.power, now, filterTrickle(reading.power, c), windowStart)
+      : this._history.power;
+    if (soc !== this._history.soc || power !== this._history.power) {
+      this._history = { soc, power };
+    }
+  }
+
+  async _fetchHistory(key, entityIds, sources, hours) {
+    this._historyKey = key;
+    this._history = null;
+    let result = {};
+    try {
+      result = await this.hass.callWS({
+        type: 'history/history_during_period',
+        start_time: new Date(Date.now() - hours * 3600000).toISOString(),
+        entity_ids: entityIds,
+        minimal_response: true,
+        no_attributes: true,
+      });
+    } catch (err) {
+      // Recorder excluded or unreachable: start empty and let live states fill the strip.
+      console.warn('[universal-battery-card] history fetch failed:', err);
+    }
+    if (this._historyKey !== key) return; // config changed while the request was in flight
+    this._history = this._seriesFromHistory(result || {}, sources);
+  }
+
+  // Turns a history response into the card's own SOC/power series, combining packs the same
+  // way _readBatteries does. Power is trickle-filtered like the live value, so the average
+  // doesn't count power the card shows as idle.
+  _seriesFromHistory(result, sources) {
+    const config = this._config;
+    const series = sources.map(source => ({
+      soc: socHistorySeries(this.hass, result, source),
+      power: powerHistorySeries(this.hass, result, source, usesVoltageCurrent(source)
+        ? source.invert_current ?? config.invert_current
+        : source.invert_power ?? config.invert_power),
+    }));
+    const filtered = (power) => power.map(([t, watts]) => [t, filterTrickle(watts, config)]);
+    if (!hasBatteryList(config)) return { soc: series[0].soc, power: filtered(series[0].power) };
+
+    const capacities = config.batteries.map((pack, i) => readPack(this.hass, pack, config, i).capacityWh);
+    const withSoc = series.map((s, i) => ({ soc: s.soc, weight: capacities[i] })).filter(s => s.soc.length);
+    const weighted = withSoc.every(s => s.weight !== null && s.weight > 0);
+    const totalWeight = withSoc.reduce((sum, s) => sum + (weighted ? s.weight : 1), 0);
+    return {
+      soc: combineSeries(withSoc.map(s => s.soc), values =>
+        values.reduce((sum, v, i) => sum + v * (weighted ? withSoc[i].weight : 1), 0) / totalWeight),
+      power: filtered(combineSeries(series.map(s => s.power).filter(p => p.length), values =>
+        values.reduce((sum, v) => sum + v, 0))),
+    };
   }
 
   _openMoreInfo(e, entityId) {
@@ -1231,6 +4923,302 @@ class UniversalBatteryCard extends LitElement {
     fireEvent(this, 'hass-more-info', { entityId });
   }
 
+  // The entity an element's actions apply to, e.g. soc_entity for the SOC gauge.
+  // With batteries: the gauges have no entities of their own and use the first available pack's.
+  _actionEntity(element) {
+    const stat = this._statItemFor(element);
+    if (stat) return stat.entity;
+    const el = ACTION_ELEMENTS.find(item => item.id === element);
+    const own = (el?.entityKeys ?? []).map(key => this._config[key]).find(Boolean);
+    return own ?? (el?.packEntity ? this._firstPackEntity(el.packEntity) : undefined);
+  }
+
+  // An entity of the first pack whose readings are available ('socEntity' or 'powerEntity'),
+  // standing in for the card-level one in batteries: mode
+  _firstPackEntity(field) {
+    if (!hasBatteryList(this._config) || !this.hass) return undefined;
+    const packs = this._config.batteries.map((pack, i) => readPack(this.hass, pack, this._config, i));
+    return packs.find(pack => pack.available)?.[field];
+  }
+
+  // `stats:` entries carry their own gestures, under data-action "stat:<index>"
+  _statItemFor(element) {
+    if (!element?.startsWith('stat:')) return null;
+    return this._config.stats?.[Number(element.slice(5))] ?? null;
+  }
+
+  // Action config for one element and gesture. An unconfigured tap opens the element's
+  // entity, which was the card's only interaction before actions were configurable.
+  _actionFor(element, gesture) {
+    const stat = this._statItemFor(element);
+    const configured = stat ? stat[`${gesture}_action`] : this._config.actions?.[element]?.[`${gesture}_action`];
+    if (configured) return configured;
+    return gesture === 'tap' && this._actionEntity(element) ? { action: 'more-info' } : { action: 'none' };
+  }
+
+  // Hands the action to HA's own handler, which covers every action type along with its
+  // confirmation prompt — the same path as the built-in cards. With mode_dropdown, a tap on
+  // the mode opens its options instead, unless the mode has a tap action of its own.
+  _runAction(element, gesture) {
+    if (element === 'mode' && gesture === 'tap' && this._modeSelectEntity() && !this._config.actions?.mode?.tap_action) {
+      if (this._modeMenuOpen) this._closeModeMenu();
+      else this._openModeMenu();
+      return;
+    }
+    const action = this._actionFor(element, gesture);
+    if (action.action === 'none') return;
+    fireEvent(this, 'hass-action', {
+      config: { entity: this._actionEntity(element), [`${gesture}_action`]: action },
+      action: gesture,
+    });
+  }
+
+  // Gestures are delegated from ha-card: actionable elements carry data-action naming their
+  // entry under `actions:`. A hold fires once the press outlasts HOLD_DELAY_MS, and swallows
+  // the click that ends it. A tap waits DOUBLE_TAP_WINDOW_MS for a second one only where a
+  // double-tap action is bound, so unbound elements respond immediately. A press that leaves
+  // its element, or moves far enough to be a drag or a touch scroll, is no longer a hold.
+  _onActionPointerDown(e) {
+    clearTimeout(this._holdTimer);
+    this._held = false;
+    const element = e.target.closest?.('[data-action]')?.dataset.action;
+    if (!element || this._actionFor(element, 'hold').action === 'none') return;
+    this._holdStart = { element, x: e.clientX, y: e.clientY };
+    this._holdTimer = setTimeout(() => {
+      this._held = true;
+      this._runAction(element, 'hold');
+    }, HOLD_DELAY_MS);
+  }
+
+  _onActionPointerMove(e) {
+    const start = this._holdStart;
+    if (!start) return;
+    const element = e.target.closest?.('[data-action]')?.dataset.action;
+    const moved = Math.hypot(e.clientX - start.x, e.clientY - start.y);
+    if (element !== start.element || moved > HOLD_MOVE_TOLERANCE_PX) this._onActionPointerUp();
+  }
+
+  _onActionPointerUp() {
+    clearTimeout(this._holdTimer);
+    this._holdStart = null;
+  }
+
+  _onActionContextMenu(e) {
+    // A long press on touch opens the context menu, which would cover the hold action.
+    const element = e.target.closest?.('[data-action]')?.dataset.action;
+    if (element && this._actionFor(element, 'hold').action !== 'none') e.preventDefault();
+  }
+
+  // The entity a reserve / cutoff marker can be dragged to set: a number or input_number, when
+  // interactive_markers is on and no fixed value takes priority over it.
+  _markerEntity(key) {
+    if (!this._config.interactive_markers) return null;
+    const fixed = this._config[key];
+    if (fixed !== undefined && fixed !== null && fixed !== '') return null;
+    const entityId = this._config[`${key}_entity`];
+    return MARKER_DOMAINS.includes(entityId?.split('.')[0]) && this.hass.states[entityId] ? entityId : null;
+  }
+
+  // A marker's position: the dragged value while it's held, and after release until the entity
+  // reports back, so it doesn't jump back for the length of the round trip.
+  _markerPercent(key, percent) {
+    return this._markerDrag?.key === key ? this._markerDrag.value : percent;
+  }
+
+  // The value under the pointer, snapped to the entity's step. The SOC ring runs
+  // counter-clockwise from 12 o'clock, so 0% and 100% meet there; a drag across that point
+  // holds at the end it came from rather than jumping to the other. A bar has two ends, so
+  // there it's just how far across the bar the pointer is.
+  _markerValueAt(e, entityId, previous) {
+    if (this._config.layout === 'bar') {
+      const track = this.renderRoot.querySelector('.soc-bar .bar-track').getBoundingClientRect();
+      const percent = Math.max(0, Math.min(100, ((e.clientX - track.left) / track.width) * 100));
+      return snapToStep(percent, this.hass.states[entityId].attributes);
+    }
+    const rect = this.renderRoot.querySelector('.main-gauge').getBoundingClientRect();
+    const dx = e.clientX - (rect.left + rect.width / 2);
+    const dy = e.clientY - (rect.top + rect.height / 2);
+    const clockwise = ((Math.atan2(dx, -dy) * 180) / Math.PI + 360) % 360;
+    let percent = ((360 - clockwise) % 360) / 3.6;
+    if (previous !== null && Math.abs(percent - previous) > 50) percent = previous > 50 ? 100 : 0;
+    return snapToStep(percent, this.hass.states[entityId].attributes);
+  }
+
+  // Dragging a marker captures the pointer, so the drag follows it off the ring and a touch
+  // drag doesn't scroll the page. It stops the press reaching the SOC gauge's own actions.
+  _onMarkerPointerDown(e, key) {
+    const entityId = this._markerEntity(key);
+    if (!entityId) return;
+    e.stopPropagation();
+    e.preventDefault();
+    e.currentTarget.setPointerCapture?.(e.pointerId);
+    clearTimeout(this._markerSettleTimer);
+    const fromState = this.hass.states[entityId].state;
+    const current = parseFloat(fromState);
+    this._markerDrag = {
+      key, entityId, fromState, dragging: true,
+      value: this._markerValueAt(e, entityId, Number.isFinite(current) ? current : null),
+    };
+  }
+
+  _onMarkerPointerMove(e) {
+    const drag = this._markerDrag;
+    if (!drag?.dragging) return;
+    const value = this._markerValueAt(e, drag.entityId, drag.value);
+    if (value !== drag.value) this._markerDrag = { ...drag, value };
+  }
+
+  // On release the new value goes to <domain>.set_value through HA's action handler, which
+  // also shows the confirmation prompt when marker_confirmation asks for one. A cancelled
+  // prompt leaves the entity unchanged, and the marker returns once MARKER_SETTLE_MS is up.
+  _onMarkerPointerUp(e) {
+    const drag = this._markerDrag;
+    if (!drag?.dragging) return;
+    e.stopPropagation();
+    if (parseFloat(drag.fromState) === drag.value) {
+      this._markerDrag = null;
+      return;
+    }
+    this._markerDrag = { ...drag, dragging: false };
+    const label = this._t(drag.key === 'reserve' ? 'gauge.reserve' : 'gauge.cutoff', { pct: drag.value });
+    fireEvent(this, 'hass-action', {
+      config: {
+        entity: drag.entityId,
+        tap_action: {
+          action: 'perform-action',
+          perform_action: `${drag.entityId.split('.')[0]}.set_value`,
+          target: { entity_id: drag.entityId },
+          data: { value: drag.value },
+          ...(this._config.marker_confirmation ? { confirmation: { text: this._t('marker.confirm', { setting: label }) } } : {}),
+        },
+      },
+      action: 'tap',
+    });
+    this._markerSettleTimer = setTimeout(() => { this._markerDrag = null; }, MARKER_SETTLE_MS);
+  }
+
+  // A drag the browser or OS interrupts writes nothing: the marker goes back to the entity's value
+  _onMarkerPointerCancel(e) {
+    if (!this._markerDrag?.dragging) return;
+    e.stopPropagation();
+    e.currentTarget?.releasePointerCapture?.(e.pointerId);
+    this._markerDrag = null;
+  }
+
+  // The mode entity the header's dropdown can switch: a select or input_select with options,
+  // when mode_dropdown is on
+  _modeSelectEntity() {
+    if (!this._config.mode_dropdown) return null;
+    const entityId = this._config.mode_entity;
+    if (!MODE_SELECT_DOMAINS.includes(entityId?.split('.')[0])) return null;
+    return this.hass.states[entityId]?.attributes?.options?.length ? entityId : null;
+  }
+
+  // The open menu closes on a press anywhere outside it, or on Escape
+  _openModeMenu() {
+    this._modeMenuOpen = true;
+    this._modeMenuDismiss ??= (e) => {
+      const outside = e.type === 'keydown'
+        ? e.key === 'Escape'
+        : !e.composedPath().some(el => el.classList?.contains('mode-anchor'));
+      if (outside) this._closeModeMenu();
+    };
+    window.addEventListener('pointerdown', this._modeMenuDismiss, true);
+    window.addEventListener('keydown', this._modeMenuDismiss);
+  }
+
+  _closeModeMenu() {
+    this._modeMenuOpen = false;
+    if (!this._modeMenuDismiss) return;
+    window.removeEventListener('pointerdown', this._modeMenuDismiss, true);
+    window.removeEventListener('keydown', this._modeMenuDismiss);
+  }
+
+  // Picking an option calls <domain>.select_option through HA's action handler, with a
+  // confirmation prompt when mode_confirmation asks for one
+  _selectMode(e, option) {
+    e.stopPropagation();
+    this._closeModeMenu();
+    const entityId = this._modeSelectEntity();
+    if (!entityId || option === this.hass.states[entityId].state) return;
+    const label = this._config.mode_options?.[option]?.label ?? option;
+    fireEvent(this, 'hass-action', {
+      config: {
+        entity: entityId,
+        tap_action: {
+          action: 'perform-action',
+          perform_action: `${entityId.split('.')[0]}.select_option`,
+          target: { entity_id: entityId },
+          data: { option },
+          ...(this._config.mode_confirmation ? { confirmation: { text: this._t('mode.confirm', { mode: label }) } } : {}),
+        },
+      },
+      action: 'tap',
+    });
+  }
+
+  // The dropdown under the mode text: one row per option, with its mode_options icon and label
+  _renderModeMenu() {
+    const entity = this.hass.states[this._modeSelectEntity()];
+    const modeOptions = this._config.mode_options ?? {};
+    return html`
+      <div class="mode-menu" role="listbox">
+        ${entity.attributes.options.map(option => html`
+          <div class="mode-option ${option === entity.state ? 'selected' : ''}" role="option"
+               aria-selected="${option === entity.state}" @click=${(e) => this._selectMode(e, option)}>
+            <ha-icon icon="${modeOptions[option]?.icon ?? (option === entity.state ? 'mdi:check' : 'mdi:blank')}"></ha-icon>
+            <span>${modeOptions[option]?.label ?? option}</span>
+          </div>
+        `)}
+      </div>
+    `;
+  }
+
+  // Renders the reserve or cutoff marker on the SOC ring or bar, draggable where _markerEntity allows
+  _renderMarker(key, percent) {
+    const draggable = !!this._markerEntity(key);
+    const position = this._config.layout === 'bar'
+      ? `left: ${Math.max(0, Math.min(100, percent))}%`
+      : `transform-origin: center calc(var(--ubc-gauge-size) / 2 + 6px); transform: ${this._getMarkerRotation(percent)}`;
+    return html`
+      <div class="marker ${key} ${draggable ? 'draggable' : ''}"
+           style="${position}"
+           @pointerdown=${(e) => this._onMarkerPointerDown(e, key)}
+           @pointermove=${this._onMarkerPointerMove}
+           @pointerup=${this._onMarkerPointerUp}
+           @pointercancel=${this._onMarkerPointerCancel}
+           @click=${(e) => draggable && e.stopPropagation()}></div>
+    `;
+  }
+
+  _onActionClick(e) {
+    const element = e.target.closest?.('[data-action]')?.dataset.action;
+    if (!element) return;
+    e.stopPropagation();
+    if (this._held) {
+      this._held = false; // the hold already ran
+      return;
+    }
+    if (this._actionFor(element, 'double_tap').action === 'none') {
+      this._runAction(element, 'tap');
+      return;
+    }
+    const pending = this._pendingTap;
+    clearTimeout(pending?.timer);
+    this._pendingTap = null;
+    if (pending?.element === element) {
+      this._runAction(element, 'double_tap');
+      return;
+    }
+    this._pendingTap = {
+      element,
+      timer: setTimeout(() => {
+        this._pendingTap = null;
+        this._runAction(element, 'tap');
+      }, DOUBLE_TAP_WINDOW_MS),
+    };
+  }
+
   // Derive layout-relevant flags from the current config in one place.
   _layoutFlags() {
     const c = this._config ?? {};
@@ -1242,30 +5230,78 @@ class UniversalBatteryCard extends LitElement {
     const showPowerGauge = hasRates && showRates;
     const powerScale = Math.max(30, Math.min(100, c.power_gauge_scale ?? 78)) / 100;
     const labelsBelow = c.gauge_label_position === 'below';
-    return { headerStyle, showRuntime, showPowerGauge, powerScale, labelsBelow };
+    const showPacks = hasBatteryList(c) && c.show_packs !== false;
+    const showHistory = !!c.show_history;
+    const showEnergyToday = !!c.show_energy_today;
+    const showSchedule = !!c.schedule_entities?.length && c.show_schedule_strip !== false;
+    const showCells = !!c.cell_voltage_entities?.length && c.show_cells !== false;
+    const footerLines = c.power_average_minutes > 0 && c.runtime_estimate === 'both' ? 2 : 1;
+    const layout = c.layout === 'bar' ? 'bar' : 'rings';
+    const showGaugeLabels = c.show_gauge_labels !== false;
+    const showValueRow = (!!c.price_entity || typeof c.stored_energy_price === 'number') && c.show_energy_value !== false;
+    return {
+      layout, headerStyle, showRuntime, showPowerGauge, powerScale, labelsBelow, showGaugeLabels, showPacks,
+      showHistory, showEnergyToday, showSchedule, showCells, showValueRow, footerLines,
+    };
   }
 
   // Static estimates for header/footer heights — used pre-render and by HA layout APIs.
-  _estimateChrome({ headerStyle, showRuntime }) {
-    const headerPx = headerStyle === 'full' ? HEADER_FALLBACK_FULL
+  _estimateChrome({
+    headerStyle, showRuntime, showPacks, showHistory, showEnergyToday, showSchedule, showCells, showValueRow, footerLines,
+  }) {
+    const headerPx = headerStyle === 'full' ? HEADER_FALLBACK_FULL + (showValueRow ? HEADER_VALUE_ROW_PX : 0)
                    : headerStyle === 'title' ? HEADER_FALLBACK_TITLE : 0;
-    const footerPx = showRuntime ? FOOTER_FALLBACK : 0;
-    return { headerPx, footerPx };
+    const footerPx = showRuntime ? FOOTER_FALLBACK + FOOTER_LINE_PX * (footerLines - 1) : 0;
+    const strips = [
+      showHistory && HISTORY_STRIP_PX, showSchedule && SCHEDULE_STRIP_FALLBACK, showCells && CELLS_STRIP_FALLBACK,
+      showEnergyToday && ENERGY_TODAY_FALLBACK, showPacks && PACKS_FALLBACK,
+    ].filter(Boolean);
+    const detailsPx = strips.length
+      ? strips.reduce((sum, px) => sum + px, 0) + DETAILS_GAP_PX * (strips.length - 1)
+      : 0;
+    return { headerPx, footerPx, detailsPx };
   }
 
   // Everything the card spends vertically that isn't the gauges row, from estimates alone.
   // Used pre-paint and by the HA layout APIs, which are called before we can measure.
   _estimatedChromeVertical(flags) {
-    const { headerPx, footerPx } = this._estimateChrome(flags);
+    const { headerPx, footerPx, detailsPx } = this._estimateChrome(flags);
     return CARD_PADDING_Y + CARD_BORDER_Y
       + (headerPx ? headerPx + HEADER_MARGIN_PX : 0)
+      + (detailsPx ? detailsPx + DETAILS_MARGIN_PX : 0)
       + (footerPx ? footerPx + FOOTER_MARGIN_PX : 0);
   }
 
   // Config-derived minimum card height. Single source of truth for the CSS floor and the
   // min_rows we advertise to HA — if those two disagree the card overflows its own cell.
   _minCardHeight(flags) {
-    return this._estimatedChromeVertical(flags) + GAUGE_PADDING_PX + HARD_FLOOR_PX;
+    const gaugesPx = flags.layout === 'bar' ? this._barsBlockHeight(BAR_HEIGHT_MIN, flags) : HARD_FLOOR_PX;
+    return this._estimatedChromeVertical(flags) + GAUGE_PADDING_PX + gaugesPx;
+  }
+
+  // Height of the bars (layout: bar) at a given SOC bar height, with the text under each bar
+  // at its estimated height. Used where the rendered rows can't be measured yet.
+  _barsBlockHeight(barHeight, flags) {
+    const socPx = barHeight + (flags.showGaugeLabels ? BAR_LABEL_PX : 0);
+    if (!flags.showPowerGauge) return socPx;
+    return socPx + BAR_GAP_PX + Math.round(barHeight * flags.powerScale) + BAR_LABEL_PX;
+  }
+
+  // Tallest SOC bar whose block fits a given gauges-row height, within the bar limits. The text
+  // rows are measured once they're rendered, as their line height follows the theme's fonts.
+  _heightCappedBar(rowSpace, flags) {
+    const measure = (selector, fallback) => {
+      const el = this.renderRoot?.querySelector?.(selector);
+      if (!el) return 0;
+      return el.offsetHeight ? el.offsetHeight + BAR_TEXT_MARGIN_PX : fallback;
+    };
+    let space = rowSpace - GAUGE_PADDING_PX - measure('.bar-labels', BAR_LABEL_PX);
+    let perPx = 1;
+    if (flags.showPowerGauge) {
+      space -= BAR_GAP_PX + measure('.bar-caption', BAR_LABEL_PX);
+      perPx += flags.powerScale;
+    }
+    return Math.round(Math.max(BAR_HEIGHT_MIN, Math.min(BAR_HEIGHT_MAX, space / perPx)));
   }
 
   // Chrome is measured as ONE delta — card box minus gauges row — rather than summed from
@@ -1332,9 +5368,11 @@ class UniversalBatteryCard extends LitElement {
     if (!cardEl || boxHeight <= 0) return cached?.contentDriven ?? false; // retry next pass
     const gauge = this.style.getPropertyValue('--ubc-gauge-size');
     const power = this.style.getPropertyValue('--ubc-power-gauge-size');
+    const bar = this.style.getPropertyValue('--ubc-bar-height');
     const at = (px) => {
       this.style.setProperty('--ubc-gauge-size', `${px}px`);
       this.style.setProperty('--ubc-power-gauge-size', `${Math.round(px * 0.78)}px`);
+      this.style.setProperty('--ubc-bar-height', `${px}px`); // layout: bar
       return cardEl.offsetHeight; // forces layout at the probe size
     };
     const collapsed = at(0);
@@ -1345,6 +5383,7 @@ class UniversalBatteryCard extends LitElement {
     };
     restore('--ubc-gauge-size', gauge);
     restore('--ubc-power-gauge-size', power);
+    restore('--ubc-bar-height', bar);
     const contentDriven = expanded > collapsed + HEIGHT_MODE_TOLERANCE_PX;
     this._heightProbe = { boxHeight, contentDriven };
     return contentDriven;
@@ -1457,6 +5496,22 @@ class UniversalBatteryCard extends LitElement {
     this.classList.toggle('gauges-encroach-header', values.useEncroach);
   }
 
+  // _applySizing for layout: bar, behind the same guard. The bars never encroach, so a class
+  // left over from the rings is cleared here.
+  _applyBarSizing(values) {
+    const last = this._lastSizing;
+    if (last
+      && Math.abs(last.barHeight - values.barHeight) < GAUGE_DEADBAND_PX
+      && last.statsDisplay === values.statsDisplay) {
+      return;
+    }
+    this._lastSizing = values;
+    this.style.setProperty('--ubc-bar-height', `${values.barHeight}px`);
+    this.style.setProperty('--ubc-power-bar-height', `${values.powerBarHeight}px`);
+    this.style.setProperty('--ubc-stats-display', values.statsDisplay);
+    this.classList.remove('gauges-encroach-header');
+  }
+
   _updateGaugeSize(containerWidth, containerHeight) {
     if (!this._config) return;
     if (containerWidth <= 0 || containerHeight <= 0) return;
@@ -1481,6 +5536,19 @@ class UniversalBatteryCard extends LitElement {
     const boxHeight = cardHeight > 0 ? cardHeight : containerHeight;
     const encroachArea = boxHeight - chromeExcludingHeader;
     const standardArea = encroachArea - headerVertical;
+    const statsDisplay = containerWidth < STATS_PANEL_HIDE_BELOW_PX ? 'none' : 'flex';
+
+    // The bars span the width whatever it is, so only their height is left to decide: the row's
+    // height split between them, or a fixed default where that height is the card's own content.
+    if (flags.layout === 'bar') {
+      const barHeight = this._probeContentDrivenHeight(cardEl, boxHeight)
+        ? BAR_HEIGHT_DEFAULT
+        : this._heightCappedBar(standardArea, flags);
+      this._applyBarSizing({
+        barHeight, powerBarHeight: Math.round(barHeight * flags.powerScale), statsDisplay,
+      });
+      return;
+    }
 
     const availableWidth = containerWidth - CARD_PADDING_X;
     let gaugeGap = this._computeGaugeGap(availableWidth, flags);
@@ -1558,7 +5626,6 @@ class UniversalBatteryCard extends LitElement {
     const labelDisplay = hideLabels ? 'none' : 'flex';
     // 'below' takes its space in flow, so it must not pad the wrapper as well.
     const labelBand = flags.labelsBelow ? 0 : labelBlock;
-    const statsDisplay = containerWidth < STATS_PANEL_HIDE_BELOW_PX ? 'none' : 'flex';
     // Text under the power gauge yields before the gauges do — a card short enough that the rate
     // labels don't fit is better off with a readable gauge than with the labels kept.
     const rowSpace = useEncroach ? encroachArea : standardArea;
@@ -1575,11 +5642,13 @@ class UniversalBatteryCard extends LitElement {
   getCardSize() {
     // 1 unit = 50px (HA docs). Used by masonry view for height estimation.
     // Deliberately static — runtime gauge size fills available space and isn't known
-    // ahead of layout; this just gives masonry a sensible initial slot (~200px gauges).
+    // ahead of layout; this just gives masonry a sensible initial slot (~200px gauges, or
+    // bars at their default height).
     const flags = this._layoutFlags();
-    const { headerPx, footerPx } = this._estimateChrome(flags);
-    const defaultGaugeAreaPx = 200 + GAUGE_PADDING_PX;
-    const totalPx = CARD_PADDING_Y + headerPx + defaultGaugeAreaPx + footerPx;
+    const { headerPx, footerPx, detailsPx } = this._estimateChrome(flags);
+    const defaultGaugeAreaPx = GAUGE_PADDING_PX
+      + (flags.layout === 'bar' ? this._barsBlockHeight(BAR_HEIGHT_DEFAULT, flags) : 200);
+    const totalPx = CARD_PADDING_Y + headerPx + defaultGaugeAreaPx + detailsPx + footerPx;
     return Math.ceil(totalPx / MASONRY_UNIT_PX);
   }
 
@@ -1597,8 +5666,9 @@ class UniversalBatteryCard extends LitElement {
     // at any floor where floor + 6 is an exact multiple of the row pitch.
     const minRows = Math.max(2, Math.ceil((this._minCardHeight(flags) + SECTION_GAP_PX + 2) / cellRow));
 
-    const minGaugesPx = flags.showPowerGauge
-      ? HARD_FLOOR_PX * (1 + flags.powerScale) + GAUGE_GAP_MIN
+    // Bars are stacked, so the power bar adds no width
+    const minGaugesPx = flags.layout === 'bar' ? BARS_MIN_WIDTH_PX
+      : flags.showPowerGauge ? HARD_FLOOR_PX * (1 + flags.powerScale) + GAUGE_GAP_MIN
       : HARD_FLOOR_PX;
     const minWidthPx = minGaugesPx + CARD_PADDING_X;
     const minColumns = Math.max(3, Math.ceil((minWidthPx + SECTION_GAP_PX) / cellCol));
@@ -1617,20 +5687,12 @@ class UniversalBatteryCard extends LitElement {
     const config = this._config;
     const decimals = config.decimal_places ?? 3;
 
-    // Required: SOC
-    const socValue = getEntityValue(this.hass, config.soc_entity);
-    if (!socValue.available || socValue.value === null) return null;
-
-    // Required: Power
-    const powerValue = getEntityValue(this.hass, config.power_entity);
-    if (!powerValue.available || powerValue.value === null) return null;
+    // Required: SOC and power, from the card's own entities or combined across batteries:
+    const reading = this._readBatteries();
+    if (!reading) return null;
+    const { socPercent, socDerived, packs } = reading;
 
-    let power = powerValue.value;
-    if ((powerValue.unit || '').toLowerCase() === 'kw') power *= 1000;
-    if (config.invert_power) power = -power;
-    if (config.enable_trickle_charge_filter && Math.abs(power) < (config.trickle_charge_threshold ?? 25)) {
-      power = 0;
-    }
+    const power = filterTrickle(reading.power, config);
 
     const status = getBatteryStatus(power, 0);
 
@@ -1638,15 +5700,12 @@ class UniversalBatteryCard extends LitElement {
     const socEnergyValue = getEntityValue(this.hass, config.soc_energy_entity);
     let socEnergyWh = null;
     if (socEnergyValue.available && socEnergyValue.value !== null) {
-      socEnergyWh = normalizeUnit(socEnergyValue.value, socEnergyValue.unit);
+      socEnergyWh = normalizeEnergy(socEnergyValue.value, socEnergyValue.unit, config.nominal_voltage);
     }
 
-    // Capacity (entity or fixed, fixed is in kWh)
-    const capacityData = getEntityOrFixedValue(this.hass, config, 'capacity_entity', 'capacity', 'kWh');
-    let capacityWh = null;
-    if (capacityData.available && capacityData.value !== null) {
-      capacityWh = capacityData.isFixed ? capacityData.value * 1000 : normalizeUnit(capacityData.value, capacityData.unit);
-    }
+    // Capacity (entity or fixed, fixed is in kWh). In multi-pack mode the packs' own
+    // capacities add up to it when every live pack has one.
+    const capacityWh = reading.capacityWh ?? readCapacityWh(this.hass, config);
 
     // Reserve (entity or fixed, both in %)
     const reserveData = getEntityOrFixedValue(this.hass, config, 'reserve_entity', 'reserve', '%');
@@ -1670,6 +5729,8 @@ class UniversalBatteryCard extends LitElement {
 
     // Time estimates
     let timeToTarget = null;
+    let timeToTargetNow = null;
+    let timeToTargetAverage = null;
     let targetPercent = null;
 
     // The estimate needs an energy figure. Where soc_energy_entity isn't configured, derive it
@@ -1678,20 +5739,33 @@ class UniversalBatteryCard extends LitElement {
     // "a sensor reported this". The clamp guards against a misreporting SOC sensor.
     const estimatedEnergyWh = socEnergyWh !== null
       ? socEnergyWh
-      : (capacityWh !== null ? capacityWh * (Math.min(100, Math.max(0, socValue.value)) / 100) : null);
+      : (capacityWh !== null ? capacityWh * (Math.min(100, Math.max(0, socPercent)) / 100) : null);
+
+    // Rolling average of power over power_average_minutes, from the same recorded history as
+    // the sparkline. Null until that window holds any time at all, and then the estimate falls
+    // back to instantaneous power rather than showing nothing.
+    const averagePower = this._averagePower();
 
     if (estimatedEnergyWh !== null && capacityWh !== null && power !== 0) {
       if (status === 'charging') {
         // Use cutoff percentage if configured, otherwise 100%
         targetPercent = cutoffPercent !== null ? cutoffPercent : 100;
-        const targetEnergy = capacityWh * (targetPercent / 100);
-        timeToTarget = calculateTimeToTarget(estimatedEnergyWh, targetEnergy, power);
       } else if (status === 'discharging') {
         // Use reserve percentage if configured, otherwise 0%
         targetPercent = reservePercent !== null ? reservePercent : 0;
+      }
+      if (targetPercent !== null) {
         const targetEnergy = capacityWh * (targetPercent / 100);
-        timeToTarget = calculateTimeToTarget(estimatedEnergyWh, targetEnergy, power);
+        timeToTargetNow = calculateTimeToTarget(estimatedEnergyWh, targetEnergy, power);
+        // An average heading the other way (charging now, but discharging over the window)
+        // can't reach this target, and calculateTimeToTarget returns null for it.
+        if (averagePower !== null) {
+          timeToTargetAverage = calculateTimeToTarget(estimatedEnergyWh, targetEnergy, averagePower);
+        }
       }
+      timeToTarget = averagePower !== null && config.runtime_estimate !== 'now'
+        ? timeToTargetAverage
+        : timeToTargetNow;
     }
 
     // Charge/Discharge rates (entity or fixed, fixed is in W)
@@ -1699,7 +5773,7 @@ class UniversalBatteryCard extends LitElement {
     let chargeRateW = null;
     let chargeRatePercent = null;
     if (chargeRateData.available && chargeRateData.value !== null) {
-      chargeRateW = chargeRateData.isFixed ? chargeRateData.value : normalizeUnit(chargeRateData.value, chargeRateData.unit);
+      chargeRateW = chargeRateData.isFixed ? chargeRateData.value : normalizeUnit(chargeRateData.value, chargeRateData.unit, 'W');
       if (power > 0 && chargeRateW > 0) {
         chargeRatePercent = Math.min(100, (power / chargeRateW) * 100);
       }
@@ -1709,7 +5783,7 @@ class UniversalBatteryCard extends LitElement {
     let dischargeRateW = null;
     let dischargeRatePercent = null;
     if (dischargeRateData.available && dischargeRateData.value !== null) {
-      dischargeRateW = dischargeRateData.isFixed ? dischargeRateData.value : normalizeUnit(dischargeRateData.value, dischargeRateData.unit);
+      dischargeRateW = dischargeRateData.isFixed ? dischargeRateData.value : normalizeUnit(dischargeRateData.value, dischargeRateData.unit, 'W');
       if (power < 0 && dischargeRateW > 0) {
         dischargeRatePercent = Math.min(100, (Math.abs(power) / dischargeRateW) * 100);
       }
@@ -1723,10 +5797,41 @@ class UniversalBatteryCard extends LitElement {
       powerPercent = Math.min(100, (Math.abs(power) / dischargeRateW) * 100);
     }
 
-    // Stats panel entities
-    const tempValue = getEntityValue(this.hass, config.temp_entity);
-    const cyclesValue = getEntityValue(this.hass, config.cycles_entity);
-    const healthValue = getEntityValue(this.hass, config.health_entity);
+    const chargeSources = status === 'charging' ? splitChargeSources(this.hass, config, power) : null;
+
+    // While solar is charging, a PV forecast replaces "the current power holds" with a
+    // simulation of the rest of the day, since the power won't hold as the sun moves. A grid
+    // charge (overnight, cheap rate) keeps the regular estimate: the forecast says nothing
+    // about it. Solar counts as charging when it carries most of the charge power, or, without
+    // grid or solar power entities to split it, when forecast PV now exceeds the house load.
+    let solarForecast = null;
+    if (config.solar_forecast_entity && status === 'charging' && estimatedEnergyWh !== null && capacityWh) {
+      const forecast = parseSolarForecast(this.hass.states[config.solar_forecast_entity]);
+      const loadData = getEntityOrFixedValue(this.hass, config, 'house_load_entity', 'house_load', 'W');
+      const loadW = loadData.available ? Math.max(0, normalizeUnit(loadData.value, loadData.unit, 'W') ?? 0) : 0;
+      const now = Date.now();
+      const pvNowW = forecast.find(seg => seg.start <= now && now < seg.end)?.watts ?? 0;
+      const solarCharging = chargeSources ? chargeSources.solarW >= chargeSources.gridW : pvNowW > loadW;
+      if (forecast.length && solarCharging) {
+        const midnight = new Date(now);
+        midnight.setHours(24, 0, 0, 0);
+        solarForecast = simulateSolarCharge(forecast, {
+          energyWh: estimatedEnergyWh,
+          targetWh: capacityWh * ((cutoffPercent ?? 100) / 100),
+          floorWh: reserveWh ?? 0,
+          capacityWh,
+          loadW,
+          maxChargeW: chargeRateW > 0 ? chargeRateW : Infinity,
+          maxDischargeW: dischargeRateW > 0 ? dischargeRateW : Infinity,
+        }, now, midnight.getTime());
+      }
+    }
+
+    // Temp, cycles and health for conditions: from the stats panel entry with that field
+    const statFieldValue = (field) => getEntityValue(this.hass, statItems(config).find(item => item.field === field)?.entity);
+    const tempValue = statFieldValue('temp');
+    const cyclesValue = statFieldValue('cycles');
+    const healthValue = statFieldValue('health');
 
     // Round to decimal_places — unrounded sensor states (e.g. 21.6666666666667)
     // otherwise overflow the stats row and clip the card title.
@@ -1735,10 +5840,39 @@ class UniversalBatteryCard extends LitElement {
     const cycles = cyclesValue.available ? Number(cyclesValue.value.toFixed(decimals)) : null;
     const health = healthValue.available ? Number(healthValue.value.toFixed(decimals)) : null;
 
-    const hasStats = temp !== null || cycles !== null || health !== null;
+    // Stats panel entries with a value to show
+    const statReadings = statItems(config).flatMap(item => {
+      const entity = this.hass.states[item.entity];
+      if (!entity || entity.state === 'unavailable' || entity.state === 'unknown') return [];
+      const unit = item.unit ?? (entity.attributes.unit_of_measurement || item.defaultUnit || '');
+      return [{
+        actionId: item.actionId,
+        icon: item.icon,
+        label: item.label ?? (item.labelKey ? this._t(item.labelKey) : (entity.attributes.friendly_name ?? item.entity)),
+        value: formatStatValue(entity.state, unit, item.precision, decimals),
+      }];
+    });
+    const hasStats = statReadings.length > 0;
+
+    const energyToday = config.show_energy_today ? this._energyTodayStats() : null;
+    const cells = config.cell_voltage_entities ? readCells(this.hass, config) : null;
+
+    // What the energy above the reserve is worth, and what the energy still to go to the cutoff
+    // will cost, grossed up for what charging loses on the way in
+    const prices = readEnergyPrices(this.hass, config);
+    let storedValue = null;
+    let costToFull = null;
+    if (estimatedEnergyWh !== null && prices.stored !== null) {
+      storedValue = (Math.max(0, estimatedEnergyWh - (reserveWh ?? 0)) / 1000) * prices.stored;
+    }
+    if (estimatedEnergyWh !== null && capacityWh !== null && prices.fill !== null) {
+      const toFullWh = Math.max(0, capacityWh * ((cutoffPercent ?? 100) / 100) - estimatedEnergyWh);
+      costToFull = (toFullWh / 1000) * prices.fill / ((config.charge_efficiency ?? 90) / 100);
+    }
 
     return {
-      socPercent: socValue.value,
+      socPercent,
+      socDerived,
       socEnergyWh,
       power,
       status,
@@ -1746,6 +5880,13 @@ class UniversalBatteryCard extends LitElement {
       reservePercent,
       reserveWh,
       timeToTarget,
+      timeToTargetNow,
+      timeToTargetAverage,
+      averagePower,
+      solarForecast,
+      chargeSources,
+      storedValue,
+      costToFull,
       targetPercent,
       chargeRateW,
       chargeRatePercent,
@@ -1758,10 +5899,226 @@ class UniversalBatteryCard extends LitElement {
       cycles,
       health,
       hasStats,
+      statReadings,
+      energyToday,
+      cells,
+      packs,
       decimals,
     };
   }
 
+  // Keeps the schedule windows current. The key includes each schedule entity's last_changed,
+  // so a schedule switching on or off, or a time entity being moved, re-reads straight away.
+  _trackSchedules() {
+    const items = scheduleItems(this._config ?? {});
+    if (!this.hass) return;
+    if (!items.length) {
+      // Schedules removed: stop polling them and drop their windows
+      clearTimeout(this._scheduleTimer);
+      this._scheduleKey = null;
+      this._scheduleWindows = null;
+      return;
+    }
+    const key = JSON.stringify(items.map(item => [
+      item.entity, item.endEntity,
+      this.hass.states[item.entity]?.last_changed, this.hass.states[item.endEntity]?.last_changed,
+    ]));
+    if (this._scheduleKey === key) return;
+    this._scheduleKey = key;
+    this._fetchSchedules(key, items);
+  }
+
+  async _fetchSchedules(key, items) {
+    clearTimeout(this._scheduleTimer);
+    const now = Date.now();
+    const lists = await Promise.all(items.map(async item => {
+      try {
+        const windows = await this._scheduleWindowsFor(item, now);
+        return windows.map(w => ({ ...w, type: item.type, name: item.name, colour: item.colour, entityId: item.entity }));
+      } catch (err) {
+        console.warn(`[universal-battery-card] reading schedule ${item.entity} failed:`, err);
+        return [];
+      }
+    }));
+    if (this._scheduleKey !== key) return; // config or states changed while in flight
+    this._scheduleWindows = lists.flat().sort((a, b) => a.start - b.start);
+    this._scheduleTimer = setTimeout(() => this._fetchSchedules(key, items), SCHEDULE_REFRESH_MS);
+  }
+
+  // Concrete windows from one schedule entity, covering roughly yesterday to tomorrow.
+  //   schedule       → its weekly blocks via schedule.get_schedule; on older HA without that
+  //                    action, just the current/next window from state and next_event
+  //   calendar       → its events, from the calendar REST API
+  //   time / input_datetime → a daily window from it to end_entity (a point without one); an
+  //                    input_datetime with a date is a single window at that date instead
+  async _scheduleWindowsFor(item, now) {
+    const domain = item.entity.split('.')[0];
+    const state = this.hass.states[item.entity];
+    if (domain === 'schedule') {
+      try {
+        const result = await this.hass.callWS({
+          type: 'call_service',
+          domain: 'schedule',
+          service: 'get_schedule',
+          target: { entity_id: item.entity },
+          return_response: true,
+        });
+        return windowsFromWeek(result?.response?.[item.entity], now);
+      } catch (err) {
+        const next = Date.parse(state?.attributes?.next_event);
+        if (!Number.isFinite(next)) return [];
+        return state.state === 'on'
+          ? [{ start: Date.parse(state.last_changed) || now, end: next }]
+          : [{ start: next, end: next }];
+      }
+    }
+    if (domain === 'calendar') {
+      const start = new Date(now - 86400000).toISOString();
+      const end = new Date(now + 2 * 86400000).toISOString();
+      const events = await this.hass.callApi('GET', `calendars/${item.entity}?start=${encodeURIComponent(start)}&end=${encodeURIComponent(end)}`);
+      // All-day events carry a bare date, which Date.parse would read as UTC midnight.
+      const at = (edge) => (edge?.dateTime ? Date.parse(edge.dateTime) : Date.parse(`${edge?.date}T00:00:00`));
+      return (events ?? [])
+        .map(event => ({ start: at(event.start), end: at(event.end) }))
+        .filter(w => Number.isFinite(w.start) && Number.isFinite(w.end));
+    }
+    // time / input_datetime: state is 'HH:MM:SS', or 'YYYY-MM-DD HH:MM:SS' with a date
+    const timeOf = (entityState) => entityState?.state?.split(' ').pop();
+    const endState = item.endEntity ? this.hass.states[item.endEntity] : undefined;
+    if (state?.attributes?.has_date) {
+      // A dated start happens once. A dated end is taken as it is; a time-only one is the next
+      // time it comes round after the start.
+      const start = datedMoment(state);
+      if (start === null) return [];
+      let end = endState?.attributes?.has_date ? datedMoment(endState) : timeOnDay(new Date(start), timeOf(endState));
+      if (end === null) end = start;
+      else if (end < start && !endState.attributes.has_date) end += 86400000;
+      return end < start ? [{ start, end: start }] : [{ start, end }];
+    }
+    const windows = [];
+    for (let offset = -1; offset <= 1; offset++) {
+      const day = new Date(now);
+      day.setDate(day.getDate() + offset);
+      const start = timeOnDay(day, timeOf(state));
+      if (start === null) continue;
+      let end = endState ? timeOnDay(day, timeOf(endState)) : start;
+      if (end === null) end = start;
+      windows.push({ start, end: end < start ? end + 86400000 : end });
+    }
+    return windows;
+  }
+
+  // Keeps one render_template subscription per configured template, so Home Assistant pushes
+  // a new result whenever one changes. A field is re-subscribed when its template text changes,
+  // and dropped when its template is removed. Subscriptions end on disconnect and are made
+  // again on the next update once reattached.
+  _trackTemplates() {
+    if (!this.hass?.connection || !this._config || !this.isConnected) return;
+    this._templateSubs ??= {};
+    for (const [field, key] of Object.entries(TEMPLATE_FIELDS)) {
+      const template = this._config[key] || null;
+      if (this._templateSubs[field]?.template === template) continue;
+      this._unsubscribeTemplate(field);
+      if (template) this._subscribeTemplate(field, template);
+    }
+  }
+
+  _subscribeTemplate(field, template) {
+    const sub = { template };
+    this._templateSubs[field] = sub;
+    // Results from a subscription that has since been replaced are dropped.
+    const onMessage = (msg) => {
+      if (this._templateSubs?.[field] !== sub) return;
+      if (msg.error !== undefined) {
+        console.warn(`[universal-battery-card] ${TEMPLATE_FIELDS[field]}: ${msg.error}`);
+        return;
+      }
+      this._templateResults = { ...this._templateResults, [field]: String(msg.result ?? '') };
+    };
+    sub.unsubscribe = this.hass.connection.subscribeMessage(onMessage, {
+      type: 'render_template',
+      template,
+      variables: { config: this._config, user: this.hass.user?.name },
+      strict: true,
+    }).catch(err => {
+      console.warn(`[universal-battery-card] ${TEMPLATE_FIELDS[field]} failed:`, err?.message ?? err);
+      return null;
+    });
+  }
+
+  _unsubscribeTemplate(field) {
+    const sub = this._templateSubs?.[field];
+    if (!sub) return;
+    delete this._templateSubs[field];
+    if (this._templateResults?.[field] !== undefined) {
+      const { [field]: _dropped, ...rest } = this._templateResults;
+      this._templateResults = rest;
+    }
+    // The subscription may still be in flight; end it once it is established.
+    sub.unsubscribe.then(unsubscribe => unsubscribe?.()).catch(() => {});
+  }
+
+  // A field's text from its template, or undefined when it has none or no result yet
+  _templateText(field) {
+    return this._config[TEMPLATE_FIELDS[field]] ? this._templateResults?.[field] : undefined;
+  }
+
+  // Today's energy in and out: from the energy entities' statistics where configured, and
+  // otherwise integrated from power since local midnight. The power is the recorded series,
+  // trickle-filtered as _seriesFromHistory and _trackHistory store it, so trickle the card
+  // shows as idle adds nothing. Efficiency is out over in, and only given once something has
+  // gone in.
+  _energyTodayStats() {
+    const config = this._config;
+    const midnight = new Date();
+    midnight.setHours(0, 0, 0, 0);
+    const power = this._history?.power ?? [];
+    const integrated = power.length
+      ? integratePower(power, midnight.getTime(), Date.now())
+      : { chargedWh: null, dischargedWh: null };
+    const chargedWh = config.charge_energy_entity ? (this._energyToday?.chargedWh ?? null) : integrated.chargedWh;
+    const dischargedWh = config.discharge_energy_entity ? (this._energyToday?.dischargedWh ?? null) : integrated.dischargedWh;
+    const efficiency = chargedWh > 0 && dischargedWh !== null ? (dischargedWh / chargedWh) * 100 : null;
+    return { chargedWh, dischargedWh, efficiency };
+  }
+
+  // Time-weighted mean of power over the last power_average_minutes, trickle-filtered like the
+  // live value. Null when averaging is off or the window hasn't recorded anything yet.
+  _averagePower() {
+    const config = this._config;
+    const minutes = config.power_average_minutes ?? 0;
+    if (!minutes || !this._history?.power?.length) return null;
+    const now = Date.now();
+    const average = averageSeries(this._history.power, now - minutes * 60000, now);
+    return average === null ? null : filterTrickle(average, config);
+  }
+
+  // SOC and power for the whole card. With a batteries: list, SOC is weighted by each pack's
+  // capacity and power is summed; packs that are offline are left out of both rather than
+  // taking the card down with them. Where any live pack has no capacity the weights fall back
+  // to equal, and the combined capacity is left to the card's own capacity option.
+  _readBatteries() {
+    const config = this._config;
+    if (!hasBatteryList(config)) {
+      const soc = readSoc(this.hass, config);
+      const power = readBatteryPower(this.hass, config);
+      if (soc.percent === null || power === null) return null;
+      return { socPercent: soc.percent, socDerived: soc.derived, power, capacityWh: null, packs: null };
+    }
+
+    const packs = config.batteries.map((pack, i) => readPack(this.hass, pack, config, i));
+    const live = packs.filter(p => p.available);
+    if (!live.length) return null;
+
+    const weighted = live.every(p => p.capacityWh !== null && p.capacityWh > 0);
+    const capacityWh = weighted ? live.reduce((sum, p) => sum + p.capacityWh, 0) : null;
+    const socPercent = weighted
+      ? live.reduce((sum, p) => sum + p.socPercent * p.capacityWh, 0) / capacityWh
+      : live.reduce((sum, p) => sum + p.socPercent, 0) / live.length;
+    const power = live.reduce((sum, p) => sum + p.power, 0);
+    return { socPercent, socDerived: live.some(p => p.socDerived), power, capacityWh, packs };
+  }
+
   /**
    * Renders a gauge ring as an SVG arc.
    *
@@ -1777,11 +6134,14 @@ class UniversalBatteryCard extends LitElement {
    * @param {boolean} [clockwise=false] - Sweep direction from 12 o'clock
    * @returns {unknown} Lit template
    */
-  _renderRing(value, color, thickness, clockwise = false) {
+  _renderRing(value, color, thickness, clockwise = false, gradientArc = false, split = null) {
     const percent = Math.min(100, Math.max(0, value));
     const radius = 50 - (thickness / 2);
     const circumference = 2 * Math.PI * radius;
     const arc = circumference * (percent / 100);
+    // A split paints the first part of the arc, from its start, over the rest in another colour.
+    // Its circle is always there, at zero length without one, as the template can't add SVG.
+    const splitArc = split ? arc * Math.min(100, Math.max(0, split.percent)) / 100 : 0;
 
     // rotate(-90) starts the sweep at 12 o'clock going clockwise; mirroring about x=50
     // reverses it to counter-clockwise while leaving the start point on the mirror axis.
@@ -1791,19 +6151,96 @@ class UniversalBatteryCard extends LitElement {
 
     // Round caps overhang the arc by half the stroke, so at 0% they'd render a dot on an
     // otherwise empty ring — the exact artifact the old cap divs were guarded against.
-    const linecap = percent > 0 && percent < 100 ? 'round' : 'butt';
+    // The gradient arc hides this circle behind a zero-length dash, which a round cap would
+    // still draw as a dot.
+    const linecap = !gradientArc && percent > 0 && percent < 100 ? 'round' : 'butt';
 
     return html`
       <svg class="gauge-ring" viewBox="0 0 100 100" aria-hidden="true">
         <circle class="ring-track" cx="50" cy="50" r="${radius}" stroke-width="${thickness}"></circle>
         <circle class="ring-value" cx="50" cy="50" r="${radius}" stroke-width="${thickness}"
                 stroke-linecap="${linecap}"
-                stroke-dasharray="${arc.toFixed(3)} ${circumference.toFixed(3)}"
+                stroke-dasharray="${gradientArc ? 0 : arc.toFixed(3)} ${circumference.toFixed(3)}"
                 transform="${transform}" style="stroke: ${color}"></circle>
+        <circle class="ring-split" cx="50" cy="50" r="${radius}" stroke-width="${thickness}"
+                stroke-linecap="${splitArc > 0 ? linecap : 'butt'}"
+                stroke-dasharray="${splitArc.toFixed(3)} ${circumference.toFixed(3)}"
+                transform="${transform}" style="stroke: ${split?.color ?? 'transparent'}"></circle>
+        <g class="ring-gradient" transform="${transform}" data-percent="${gradientArc ? percent : 0}"
+           data-radius="${radius}" data-thickness="${thickness}"></g>
       </svg>
     `;
   }
 
+  // Resolves a configured colour to [r, g, b] for blending: arrays as they are, CSS variable
+  // names through the card's computed style, so theme colours blend like any other.
+  _colourToRgb(colour) {
+    if (Array.isArray(colour)) return colour;
+    if (typeof colour !== 'string') return null;
+    return parseCssColour(getComputedStyle(this).getPropertyValue(colour));
+  }
+
+  // The SOC colour: the level's colour, or in gradient mode a blend of the levels either side.
+  // A variable that can't be resolved to a blendable colour falls back to the level's colour.
+  _socColour(socPercent) {
+    if (this._config.soc_colour_mode === 'gradient') {
+      const blended = getSocGradientColor(socPercent, this._config, (c) => this._colourToRgb(c));
+      if (blended) return blended;
+    }
+    return getSocColor(socPercent, this._config);
+  }
+
+  // Paints the SOC arc as a gradient along its length (soc_gradient_arc): short segments, each
+  // in the colour its own SOC would have. The segment count varies, and Lit can't template SVG
+  // children from fragments here, so they are built directly into the empty .ring-gradient group.
+  // Runs after every render, so with the gradient arc off it does no more than clear what an
+  // earlier paint left, and never resolves the level colours.
+  _paintGradientArc() {
+    if (this._config?.soc_colour_mode !== 'gradient' || !this._config.soc_gradient_arc) {
+      if (this._gradientArcGroup) {
+        this._gradientArcGroup.replaceChildren();
+        this._gradientArcGroup = null;
+        this._gradientArcKey = null;
+      }
+      return;
+    }
+    const group = this.renderRoot?.querySelector?.('.main-gauge .ring-gradient');
+    if (!group) return;
+    const percent = Number(group.dataset.percent);
+    const radius = Number(group.dataset.radius);
+    const thickness = Number(group.dataset.thickness);
+    // Keyed on the resolved colours, so a theme change repaints too
+    const colours = socLevels(this._config).map(level => [level.from, this._colourToRgb(level.colour)]);
+    const key = `${percent}|${radius}|${thickness}|${JSON.stringify(colours)}`;
+    if (key === this._gradientArcKey && group === this._gradientArcGroup) return;
+    this._gradientArcKey = key;
+    this._gradientArcGroup = group;
+
+    const circumference = 2 * Math.PI * radius;
+    const step = 2; // percent of the ring per segment
+    const segments = [];
+    for (let from = 0; from < percent; from += step) {
+      const to = Math.min(percent, from + step);
+      const circle = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
+      circle.setAttribute('cx', '50');
+      circle.setAttribute('cy', '50');
+      circle.setAttribute('r', String(radius));
+      circle.setAttribute('stroke-width', String(thickness));
+      // Each dash runs a hair past its end so neighbouring segments don't show a seam
+      const length = circumference * (to - from) / 100 + (to < percent ? 0.3 : 0);
+      circle.setAttribute('stroke-dasharray', `${length.toFixed(3)} ${circumference.toFixed(3)}`);
+      circle.setAttribute('stroke-dashoffset', (-circumference * from / 100).toFixed(3));
+      circle.style.stroke = this._socColour((from + to) / 2);
+      segments.push(circle);
+    }
+    group.replaceChildren(...segments);
+  }
+
+  // Shorthand for localize() in the user's language
+  _t(key, params) {
+    return localize(this.hass, key, params);
+  }
+
   /**
    * Calculates marker rotation for gauge position
    * @param {number} percent - Position as percentage (0-100)
@@ -1825,32 +6262,48 @@ class UniversalBatteryCard extends LitElement {
     }
 
     // Check required entities - show preview if not configured
-    const socMissing = !this._config.soc_entity || !entityExists(this.hass, this._config.soc_entity);
-    const powerMissing = !this._config.power_entity || !entityExists(this.hass, this._config.power_entity);
-
-    if (socMissing || powerMissing) {
+    if (!this._isConfigured()) {
       return this._renderPreview();
     }
 
     const stats = this._calculateStats();
-    if (!stats) return this._renderError('Unable to read sensor values');
-
-    const socColor = getSocColor(stats.socPercent, this._config);
-    const batteryIcon = getBatteryIcon(stats.socPercent);
-
-    // Get state text - from entity or auto-detect
-    let statusText = stats.status.charAt(0).toUpperCase() + stats.status.slice(1);
-    let stateEntityText = null;
-    if (this._config.state_entity && this.hass.states[this._config.state_entity]) {
+    const unitWarningTexts = unitWarnings(this.hass, this._config)
+      .map(w => this._t(`warning.unit.${w.quantity}`, { entity: w.entityId, unit: w.unit }));
+    if (!stats) return this._renderError(unitWarningTexts[0] ?? this._t('error.read'));
+
+    const socColor = this._socColour(stats.socPercent);
+    const gradientArc = this._config.soc_colour_mode === 'gradient' && !!this._config.soc_gradient_arc;
+    const batteryIcon = getSocLevel(stats.socPercent, this._config).icon || getBatteryIcon(stats.socPercent);
+
+    // Get state text - from template, entity or auto-detect
+    let statusText = this._t(`state.${stats.status}`);
+    let stateEntityText = this._templateText('state') ?? null;
+    if (stateEntityText === null && this._config.state_entity && this.hass.states[this._config.state_entity]) {
       stateEntityText = this.hass.states[this._config.state_entity].state;
     }
 
-    // Get mode text from entity
-    let modeText = null;
-    if (this._config.mode_entity && this.hass.states[this._config.mode_entity]) {
-      modeText = this.hass.states[this._config.mode_entity].state;
+    // Get mode text from template or entity
+    // mode_options can rename the entity's state and give it an icon in place of the cog.
+    let modeText = this._templateText('mode') ?? null;
+    const modeState = this._config.mode_entity ? this.hass.states[this._config.mode_entity]?.state : undefined;
+    const modeOption = this._config.mode_options?.[modeState];
+    if (modeText === null && modeState !== undefined) {
+      modeText = modeOption?.label ?? modeState;
+    }
+    const modeIcon = modeOption?.icon ?? 'mdi:cog';
+
+    // Until a name template's first result arrives, the static name stands in.
+    const title = this._templateText('name') ?? this._config.name;
+
+    // Stored / Cost to full, in Home Assistant's currency
+    const valueParts = [];
+    if (this._config.show_energy_value !== false) {
+      if (stats.storedValue !== null) valueParts.push(this._t('header.stored', { value: this._formatMoney(stats.storedValue) }));
+      if (stats.costToFull !== null) valueParts.push(this._t('header.cost_to_full', { value: this._formatMoney(stats.costToFull) }));
     }
 
+    const alerts = conditionEffects(this._config.conditions, conditionFields(stats), this.hass);
+
     // Format values
     const socEnergyFormatted = stats.socEnergyWh !== null ? formatEnergy(stats.socEnergyWh, stats.decimals) : null;
     const capacityFormatted = stats.capacityWh !== null ? formatEnergy(stats.capacityWh, stats.decimals) : null;
@@ -1859,7 +6312,8 @@ class UniversalBatteryCard extends LitElement {
     const dischargeRateFormatted = stats.dischargeRateW !== null ? formatPower(stats.dischargeRateW) : null;
 
     // Power direction
-    const powerDirection = stats.status === 'charging' ? 'Charge' : stats.status === 'discharging' ? 'Discharge' : 'Idle';
+    const powerDirection = this._t(stats.status === 'charging' ? 'direction.charge'
+      : stats.status === 'discharging' ? 'direction.discharge' : 'direction.idle');
     const powerIcon = stats.status === 'charging' ? 'mdi:arrow-left' : stats.status === 'discharging' ? 'mdi:arrow-right' : '';
 
     // Status icon for display
@@ -1871,150 +6325,583 @@ class UniversalBatteryCard extends LitElement {
     const isIdle = stats.status === 'idle';
     const powerGaugeColor = isIdle ? 'var(--secondary-text-color)' : (isCharging ? 'rgb(0, 128, 0)' : 'rgb(255, 166, 0)');
 
+    // While charging with solar_power_entity / grid_power_entity: the PV share of the charge,
+    // painted over the start of the power arc and named in the state row.
+    const chargeSplit = stats.chargeSources ? { percent: stats.chargeSources.solarPercent, color: SOLAR_CHARGE_COLOUR } : null;
+    const solarShare = stats.chargeSources ? Math.round(stats.chargeSources.solarPercent) : null;
+
     // Gauge thickness
     const thickness = this._config.gauge_thickness ?? 15;
 
+    // Reserve and cutoff, or where their markers are being dragged to
+    const reservePercent = this._markerPercent('reserve', stats.reservePercent);
+    const cutoffPercent = this._markerPercent('cutoff', stats.cutoffPercent);
+
     // Has rates configured for power gauge
     const hasRates = stats.chargeRateW !== null || stats.dischargeRateW !== null;
 
-    // Footer text
-    let footerText = '';
-    if (stats.status !== 'idle' && stats.timeToTarget !== null) {
-      const durationFormatted = formatDuration(stats.timeToTarget);
-      // formatDuration caps at 99h; formatTimeOfArrival doesn't and omits the year, so a
-      // trickle charge/drain would otherwise print a bare date months away.
-      const etaFormatted = durationFormatted === DURATION_OVERFLOW
-        ? '--'
-        : formatTimeOfArrival(stats.timeToTarget, this._config, this.hass?.locale);
-      if (stats.status === 'discharging') {
-        // A non-zero reserve target isn't depletion — name the percentage instead. Rounded
-        // before the test so the branch and the label it prints can't disagree.
-        const targetLabel = Math.round(stats.targetPercent) > 0
-          ? `${Math.round(stats.targetPercent)}% At`
-          : 'Depletes At';
-        footerText = `Runtime: ${durationFormatted}  |  ${targetLabel}: ${etaFormatted}`;
-      } else {
-        const targetLabel = stats.cutoffPercent !== null ? `${Math.round(stats.cutoffPercent)}%` : 'Full';
-        footerText = `Time to ${targetLabel}: ${durationFormatted}  |  ${targetLabel} At: ${etaFormatted}`;
-      }
-    }
+    // Strips under the gauges. The history strip holds its height while loading, so the
+    // gauges don't jump when the recorder answers.
+    const showHistory = !!this._config.show_history;
+    const historyEntity = socEntityId(this._config) ?? this._firstPackEntity('socEntity');
+    const showPacks = !!stats.packs && this._config.show_packs !== false;
+    const showEnergyToday = !!stats.energyToday;
+    const showSchedule = !!this._config.schedule_entities?.length && this._config.show_schedule_strip !== false;
+    const showCells = !!stats.cells && this._config.show_cells !== false;
+    const nextSchedule = this._nextScheduleText();
+
+    const footerLines = this._footerLines(stats);
+
+    // The title does nothing by default, so it only looks clickable once something is bound.
+    const titleActionable = ACTION_GESTURES.some(g => this._actionFor('title', g).action !== 'none');
 
     return html`
-      <ha-card>
+      <ha-card
+        style="${alerts.border ? `--ha-card-border-color: ${alerts.border}; --ha-card-border-width: 2px` : ''}"
+        @click=${this._onActionClick}
+        @pointerdown=${this._onActionPointerDown}
+        @pointermove=${this._onActionPointerMove}
+        @pointerup=${this._onActionPointerUp}
+        @pointercancel=${this._onActionPointerUp}
+        @pointerleave=${this._onActionPointerUp}
+        @contextmenu=${this._onActionContextMenu}
+      >
         <!-- Header -->
         ${this._config.header_style !== 'none' ? html`
           <div class="header">
             <div class="header-left">
               <div class="title-row">
-                <span class="title">${this._config.name}</span>
-                ${this._config.header_style === 'full' ? html`<span class="mode" @click=${(e) => this._openMoreInfo(e, this._config.mode_entity)}>${modeText ? `| ${modeText}` : ''} <ha-icon icon="mdi:cog"></ha-icon></span>` : ''}
+                <span class="title ${titleActionable ? 'actionable' : ''}" data-action="title">${title}</span>
+                ${alerts.icons.map(a => html`<ha-icon class="alert-icon" icon="${a.icon}" style="--ubc-alert-colour: ${a.colour}"></ha-icon>`)}
+                ${alerts.badges.map(a => html`<span class="alert-badge" style="--ubc-alert-colour: ${a.colour}">${a.text}</span>`)}
+                ${this._config.header_style === 'full' ? html`
+                  <span class="mode-anchor">
+                    <span class="mode" data-action="mode">${modeText ? `| ${modeText}` : ''} <ha-icon icon="${modeIcon}"></ha-icon></span>
+                    ${this._modeMenuOpen && this._modeSelectEntity() ? this._renderModeMenu() : ''}
+                  </span>
+                ` : ''}
               </div>
               ${this._config.header_style === 'full' ? html`
-                <div class="state-row" @click=${(e) => this._openMoreInfo(e, this._config.state_entity)}>
-                  Mode: ${stateEntityText ? stateEntityText : statusText}
+                <div class="state-row" data-action="state_row">
+                  ${this._t('header.mode', { mode: stateEntityText ? stateEntityText : statusText })}
                   <ha-icon icon="${statusIcon}"></ha-icon>
+                  ${solarShare !== null ? html`
+                    <span class="charge-sources">${this._t('header.charge_sources', { solar: solarShare, grid: 100 - solarShare })}</span>
+                  ` : ''}
                 </div>
                 ${capacityFormatted && this._config.show_capacity !== false ? html`
-                  <div class="capacity-row">Capacity: ${capacityFormatted.value} ${capacityFormatted.unit}</div>
+                  <div class="capacity-row">${this._t('header.capacity', { value: `${capacityFormatted.value} ${capacityFormatted.unit}` })}</div>
+                ` : ''}
+                ${valueParts.length ? html`<div class="value-row">${valueParts.join('  |  ')}</div>` : ''}
+                ${nextSchedule ? html`
+                  <div class="schedule-row" @click=${(e) => this._openMoreInfo(e, nextSchedule.entityId)}>
+                    <ha-icon icon="mdi:calendar-clock"></ha-icon> ${nextSchedule.text}
+                  </div>
                 ` : ''}
               ` : ''}
             </div>
             ${this._config.header_style === 'full' && stats.hasStats && this._config.show_stats !== false ? html`
               <div class="stats-panel">
-                ${stats.temp !== null ? html`
-                  <div class="stat" @click=${(e) => this._openMoreInfo(e, this._config.temp_entity)}>Battery Temp: <span>${stats.temp}${stats.tempUnit}</span></div>
-                ` : ''}
-                ${stats.cycles !== null ? html`
-                  <div class="stat" @click=${(e) => this._openMoreInfo(e, this._config.cycles_entity)}>Battery Cycles: <span>${stats.cycles}</span></div>
-                ` : ''}
-                ${stats.health !== null ? html`
-                  <div class="stat" @click=${(e) => this._openMoreInfo(e, this._config.health_entity)}>Battery Health: <span>${stats.health}%</span></div>
+                ${stats.statReadings.map(stat => html`
+                  <div class="stat" data-action="${stat.actionId}">
+                    ${stat.icon ? html`<ha-icon icon="${stat.icon}"></ha-icon>` : ''}${stat.label} <span>${stat.value}</span>
+                  </div>
+                `)}
+              </div>
+            ` : ''}
+          </div>
+        ` : ''}
+
+        <!-- Gauges, or bars with layout: bar -->
+        ${this._config.layout === 'bar' ? this._renderBars(stats, {
+          socColor, batteryIcon, alerts, socEnergyFormatted, powerFormatted, chargeRateFormatted,
+          dischargeRateFormatted, powerDirection, powerGaugeColor, reservePercent, cutoffPercent, hasRates,
+        }) : html`
+          <div class="gauges-container">
+            <!-- Main SOC Gauge -->
+            <div class="gauge-wrapper main-gauge-wrapper" data-action="soc_gauge">
+              <div class="gauge main-gauge ${alerts.pulse ? 'pulsing' : ''}"
+                   style="--ring-thickness: ${thickness}%; --ubc-pulse-colour: ${alerts.pulse ?? 'transparent'}">
+                ${this._renderRing(stats.socPercent, socColor, thickness, false, gradientArc)}
+                <!-- Markers -->
+                ${reservePercent !== null ? this._renderMarker('reserve', reservePercent) : ''}
+                ${cutoffPercent !== null ? this._renderMarker('cutoff', cutoffPercent) : ''}
+                <div class="gauge-center">
+                  <ha-icon icon="${batteryIcon}" style="color: ${socColor}"></ha-icon>
+                  <span class="soc-value" style="color: ${socColor}" title="${stats.socDerived ? this._t('gauge.soc_derived') : ''}">
+                    ${stats.socDerived ? '≈' : ''}${Math.round(stats.socPercent)}%
+                  </span>
+                  ${this._markerDrag?.dragging ? html`
+                    <span class="energy-value">${this._t(this._markerDrag.key === 'reserve' ? 'gauge.reserve' : 'gauge.cutoff', { pct: this._markerDrag.value })}</span>
+                  ` : socEnergyFormatted ? html`
+                    <span class="energy-value">${socEnergyFormatted.value} ${socEnergyFormatted.unit}</span>
+                  ` : ''}
+                </div>
+              </div>
+              <!-- Labels outside gauge -->
+              ${this._config.show_gauge_labels !== false ? html`
+                <div class="gauge-labels ${this._config.gauge_label_position === 'below' ? 'below' : 'above'}">
+                  ${reservePercent !== null ? html`
+                    <div class="gauge-label reserve">${this._t('gauge.reserve', { pct: Math.round(reservePercent) })}</div>
+                  ` : ''}
+                  ${cutoffPercent !== null ? html`
+                    <div class="gauge-label cutoff">${this._t('gauge.cutoff', { pct: Math.round(cutoffPercent) })}</div>
+                  ` : ''}
+                </div>
+              ` : ''}
+            </div>
+
+            <!-- Power Gauge (only if rates configured and enabled) -->
+            ${hasRates && this._config.show_rates !== false ? html`
+              <div class="gauge-wrapper power-gauge-wrapper" data-action="power_gauge">
+                <div class="gauge power-gauge" style="--ring-thickness: ${thickness}%">
+                  ${this._renderRing(stats.powerPercent, powerGaugeColor, thickness, isCharging, false, chargeSplit)}
+                  <div class="gauge-center">
+                    ${this._config.show_power_percent !== false ? html`
+                      <span class="power-percent">${Math.round(stats.powerPercent)}%</span>
+                    ` : ''}
+                    <span class="power-value" style="color: ${powerGaugeColor}">${powerFormatted.value} ${powerFormatted.unit}</span>
+                    ${this._config.show_power_direction !== false ? html`
+                      <span class="power-direction">
+                        ${powerDirection}
+                        ${powerIcon ? html`<ha-icon icon="${powerIcon}" style="color: ${powerGaugeColor}"></ha-icon>` : ''}
+                      </span>
+                    ` : ''}
+                  </div>
+                </div>
+                ${this._config.show_rate_labels !== false ? html`
+                  <div class="rate-labels">
+                    ${dischargeRateFormatted ? html`
+                      <div class="rate-label-item">
+                        ${this._t('rate.max_discharge')}
+                        <span>${dischargeRateFormatted.value} ${dischargeRateFormatted.unit}</span>
+                      </div>
+                    ` : ''}
+                    ${chargeRateFormatted ? html`
+                      <div class="rate-label-item">
+                        ${this._t('rate.max_charge')}
+                        <span>${chargeRateFormatted.value} ${chargeRateFormatted.unit}</span>
+                      </div>
+                    ` : ''}
+                  </div>
                 ` : ''}
               </div>
             ` : ''}
           </div>
+        `}
+
+        <!-- Unit warnings, history sparkline, schedule, cells, today's energy and packs -->
+        ${unitWarningTexts.length || showHistory || showSchedule || showCells || showEnergyToday || showPacks ? html`
+          <div class="details">
+            ${unitWarningTexts.map(text => html`
+              <div class="unit-warning"><ha-icon icon="mdi:alert"></ha-icon><span>${text}</span></div>
+            `)}
+            ${showHistory ? this._renderHistory(this._history, socColor, historyEntity) : ''}
+            ${showSchedule ? this._renderSchedule(this._scheduleWindows ?? []) : ''}
+            ${showCells ? this._renderCells(stats.cells) : ''}
+            ${showEnergyToday ? this._renderEnergyToday(stats.energyToday, stats.decimals) : ''}
+            ${showPacks ? this._renderPacks(stats.packs) : ''}
+          </div>
         ` : ''}
 
-        <!-- Gauges -->
-        <div class="gauges-container">
-          <!-- Main SOC Gauge -->
-          <div class="gauge-wrapper main-gauge-wrapper" @click=${(e) => this._openMoreInfo(e, this._config.soc_entity)}>
-            <div class="gauge main-gauge" style="--ring-thickness: ${thickness}%">
-              ${this._renderRing(stats.socPercent, socColor, thickness)}
-              <!-- Markers -->
-              ${stats.reservePercent !== null ? html`
-                <div class="marker reserve" style="transform-origin: center calc(var(--ubc-gauge-size) / 2 + 6px); transform: ${this._getMarkerRotation(stats.reservePercent)}"></div>
+        <!-- Footer -->
+        ${footerLines.length && this._config.show_runtime !== false ? html`
+          <div class="footer">${footerLines.map(line => html`<div>${line}</div>`)}</div>
+        ` : ''}
+      </ha-card>
+    `;
+  }
+
+  /**
+   * Renders the gauges row for layout: bar. SOC is a battery-shaped bar with the reserve and
+   * cutoff markers as ticks across it; power is a bar growing out from its centre, left while
+   * discharging and right otherwise, towards the max rate named at that end.
+   * @param {Object} stats - Result of _calculateStats
+   * @param {Object} view - Colours, icons and formatted values render() worked out for the rings
+   * @returns {unknown} Lit template
+   */
+  _renderBars(stats, view) {
+    const {
+      socColor, batteryIcon, alerts, socEnergyFormatted, powerFormatted, chargeRateFormatted,
+      dischargeRateFormatted, powerDirection, powerGaugeColor, reservePercent, cutoffPercent, hasRates,
+    } = view;
+    const powerSide = stats.status === 'discharging' ? 'right' : 'left';
+    // The ring's arrows describe its sweep; here they point the way the bar grows.
+    const powerIcon = stats.status === 'charging' ? 'mdi:arrow-right' : stats.status === 'discharging' ? 'mdi:arrow-left' : '';
+    const powerWidth = Math.min(100, stats.powerPercent) / 2;
+    // The PV share of a charge, nearest the centre like the start of the ring's arc
+    const solarWidth = stats.chargeSources ? powerWidth * stats.chargeSources.solarPercent / 100 : 0;
+    const showRateLabels = this._config.show_rate_labels !== false;
+
+    return html`
+      <div class="gauges-container bars">
+        <div class="bar-wrapper soc-bar-wrapper" data-action="soc_gauge">
+          <div class="soc-bar-row">
+            <ha-icon icon="${batteryIcon}" style="color: ${socColor}"></ha-icon>
+            <div class="soc-bar ${alerts.pulse ? 'pulsing' : ''}" style="--ubc-pulse-colour: ${alerts.pulse ?? 'transparent'}">
+              <div class="bar-track">
+                <div class="bar-fill" style="left: 0; width: ${Math.max(0, Math.min(100, stats.socPercent))}%; background: ${socColor}"></div>
+                ${reservePercent !== null ? this._renderMarker('reserve', reservePercent) : ''}
+                ${cutoffPercent !== null ? this._renderMarker('cutoff', cutoffPercent) : ''}
+              </div>
+            </div>
+            <div class="bar-readout">
+              <span class="soc-value" style="color: ${socColor}" title="${stats.socDerived ? this._t('gauge.soc_derived') : ''}">
+                ${stats.socDerived ? '≈' : ''}${Math.round(stats.socPercent)}%
+              </span>
+              ${this._markerDrag?.dragging ? html`
+                <span class="energy-value">${this._t(this._markerDrag.key === 'reserve' ? 'gauge.reserve' : 'gauge.cutoff', { pct: this._markerDrag.value })}</span>
+              ` : socEnergyFormatted ? html`
+                <span class="energy-value">${socEnergyFormatted.value} ${socEnergyFormatted.unit}</span>
               ` : ''}
-              ${stats.cutoffPercent !== null ? html`
-                <div class="marker cutoff" style="transform-origin: center calc(var(--ubc-gauge-size) / 2 + 6px); transform: ${this._getMarkerRotation(stats.cutoffPercent)}"></div>
+            </div>
+          </div>
+          ${this._config.show_gauge_labels !== false && (reservePercent !== null || cutoffPercent !== null) ? html`
+            <div class="bar-labels">
+              ${reservePercent !== null ? html`
+                <div class="gauge-label reserve">${this._t('gauge.reserve', { pct: Math.round(reservePercent) })}</div>
               ` : ''}
-              <div class="gauge-center">
-                <ha-icon icon="${batteryIcon}" style="color: ${socColor}"></ha-icon>
-                <span class="soc-value" style="color: ${socColor}">${Math.round(stats.socPercent)}%</span>
-                ${socEnergyFormatted ? html`
-                  <span class="energy-value">${socEnergyFormatted.value} ${socEnergyFormatted.unit}</span>
+              ${cutoffPercent !== null ? html`
+                <div class="gauge-label cutoff">${this._t('gauge.cutoff', { pct: Math.round(cutoffPercent) })}</div>
+              ` : ''}
+            </div>
+          ` : ''}
+        </div>
+
+        ${hasRates && this._config.show_rates !== false ? html`
+          <div class="bar-wrapper power-bar-wrapper" data-action="power_gauge">
+            <div class="power-bar">
+              <div class="bar-fill" style="${powerSide}: ${50 + solarWidth}%; width: ${powerWidth - solarWidth}%; background: ${powerGaugeColor}"></div>
+              ${solarWidth > 0 ? html`
+                <div class="bar-fill" style="left: 50%; width: ${solarWidth}%; background: ${SOLAR_CHARGE_COLOUR}"></div>
+              ` : ''}
+            </div>
+            <div class="bar-caption">
+              <div class="rate-label-item discharge">
+                ${showRateLabels && dischargeRateFormatted ? html`
+                  ${this._t('rate.max_discharge')} <span>${dischargeRateFormatted.value} ${dischargeRateFormatted.unit}</span>
                 ` : ''}
               </div>
-            </div>
-            <!-- Labels outside gauge -->
-            ${this._config.show_gauge_labels !== false ? html`
-              <div class="gauge-labels ${this._config.gauge_label_position === 'below' ? 'below' : 'above'}">
-                ${stats.reservePercent !== null ? html`
-                  <div class="gauge-label reserve">Reserve ${Math.round(stats.reservePercent)}%</div>
+              <div class="power-readout">
+                ${this._config.show_power_percent !== false ? html`<span>${Math.round(stats.powerPercent)}%</span>` : ''}
+                <span class="power-value" style="color: ${powerGaugeColor}">${powerFormatted.value} ${powerFormatted.unit}</span>
+                ${this._config.show_power_direction !== false ? html`
+                  <span>${powerDirection}</span>
+                  ${powerIcon ? html`<ha-icon icon="${powerIcon}" style="color: ${powerGaugeColor}"></ha-icon>` : ''}
                 ` : ''}
-                ${stats.cutoffPercent !== null ? html`
-                  <div class="gauge-label cutoff">Cutoff ${Math.round(stats.cutoffPercent)}%</div>
+              </div>
+              <div class="rate-label-item charge">
+                ${showRateLabels && chargeRateFormatted ? html`
+                  ${this._t('rate.max_charge')} <span>${chargeRateFormatted.value} ${chargeRateFormatted.unit}</span>
                 ` : ''}
               </div>
-            ` : ''}
+            </div>
           </div>
+        ` : ''}
+      </div>
+    `;
+  }
 
-          <!-- Power Gauge (only if rates configured and enabled) -->
-          ${hasRates && this._config.show_rates !== false ? html`
-            <div class="gauge-wrapper power-gauge-wrapper" @click=${(e) => this._openMoreInfo(e, this._config.power_entity)}>
-              <div class="gauge power-gauge" style="--ring-thickness: ${thickness}%">
-                ${this._renderRing(stats.powerPercent, powerGaugeColor, thickness, isCharging)}
-                <div class="gauge-center">
-                  ${this._config.show_power_percent !== false ? html`
-                    <span class="power-percent">${Math.round(stats.powerPercent)}%</span>
-                  ` : ''}
-                  <span class="power-value" style="color: ${powerGaugeColor}">${powerFormatted.value} ${powerFormatted.unit}</span>
-                  ${this._config.show_power_direction !== false ? html`
-                    <span class="power-direction">
-                      ${powerDirection}
-                      ${powerIcon ? html`<ha-icon icon="${powerIcon}" style="color: ${powerGaugeColor}"></ha-icon>` : ''}
-                    </span>
-                  ` : ''}
-                </div>
-              </div>
-              ${this._config.show_rate_labels !== false ? html`
-                <div class="rate-labels">
-                  ${dischargeRateFormatted ? html`
-                    <div class="rate-label-item">
-                      Max Discharge
-                      <span>${dischargeRateFormatted.value} ${dischargeRateFormatted.unit}</span>
-                    </div>
-                  ` : ''}
-                  ${chargeRateFormatted ? html`
-                    <div class="rate-label-item">
-                      Max Charge
-                      <span>${chargeRateFormatted.value} ${chargeRateFormatted.unit}</span>
-                    </div>
-                  ` : ''}
-                </div>
-              ` : ''}
+  /**
+   * Formats an amount of money in the currency set in Home Assistant's general settings, with
+   * the user's locale. Without a currency, or with one Intl doesn't know, it's a bare number.
+   * @param {number} amount - Amount in the currency's main unit
+   * @returns {string}
+   */
+  _formatMoney(amount) {
+    const currency = this.hass.config?.currency;
+    if (currency) {
+      try {
+        return new Intl.NumberFormat(this.hass.locale?.language ?? this.hass.language, { style: 'currency', currency })
+          .format(amount);
+      } catch (err) {
+        // An unknown currency code falls through to the plain figure
+      }
+    }
+    return amount.toFixed(2);
+  }
+
+  /**
+   * The footer's lines: one estimate, or the instantaneous and averaged estimates side by side.
+   * While solar is charging, a solar forecast stands in for both.
+   * @param {Object} stats - Result of _calculateStats
+   * @returns {string[]}
+   */
+  _footerLines(stats) {
+    const lines = [];
+    if (stats.solarForecast) {
+      lines.push(this._formatSolarForecast(stats));
+    } else if (stats.status !== 'idle') {
+      if (stats.averagePower !== null && this._config.runtime_estimate === 'both') {
+        const minutes = this._config.power_average_minutes;
+        if (stats.timeToTargetNow !== null) {
+          lines.push(this._t('footer.now', { estimate: this._formatEstimate(stats, stats.timeToTargetNow) }));
+        }
+        if (stats.timeToTargetAverage !== null) {
+          lines.push(this._t('footer.average', { minutes, estimate: this._formatEstimate(stats, stats.timeToTargetAverage) }));
+        }
+      } else if (stats.timeToTarget !== null) {
+        lines.push(this._formatEstimate(stats, stats.timeToTarget));
+      }
+    }
+    return lines;
+  }
+
+  /**
+   * Formats one runtime estimate for the footer: the time to the current target and when it
+   * will be reached.
+   * @param {Object} stats - Result of _calculateStats
+   * @param {number} minutes - Minutes to the target
+   * @returns {string}
+   */
+  _formatEstimate(stats, minutes) {
+    const durationFormatted = formatDuration(minutes);
+    // formatDuration caps at 99h; formatTimeOfArrival doesn't and omits the year, so a
+    // trickle charge/drain would otherwise print a bare date months away.
+    const etaFormatted = durationFormatted === DURATION_OVERFLOW
+      ? '--'
+      : formatTimeOfArrival(minutes, this._config, this.hass?.locale);
+    const duration = { duration: durationFormatted };
+    if (stats.status === 'discharging') {
+      // A non-zero reserve target isn't depletion — name the percentage instead. Rounded
+      // before the test so the branch and the label it prints can't disagree.
+      const pct = Math.round(stats.targetPercent);
+      const arrival = pct > 0
+        ? this._t('footer.pct_at', { pct, eta: etaFormatted })
+        : this._t('footer.depletes_at', { eta: etaFormatted });
+      return `${this._t('footer.runtime', duration)}  |  ${arrival}`;
+    }
+    if (stats.cutoffPercent === null) {
+      return `${this._t('footer.time_to_full', duration)}  |  ${this._t('footer.full_at', { eta: etaFormatted })}`;
+    }
+    const pct = Math.round(stats.cutoffPercent);
+    return `${this._t('footer.time_to_pct', { pct, ...duration })}  |  ${this._t('footer.pct_at', { pct, eta: etaFormatted })}`;
+  }
+
+  /**
+   * Formats the solar-forecast charging estimate for the footer: when the target is reached,
+   * or how high the battery gets today if it isn't.
+   * @param {Object} stats - Result of _calculateStats
+   * @returns {string}
+   */
+  _formatSolarForecast(stats) {
+    const { minutes, maxPercent } = stats.solarForecast;
+    if (minutes !== null) return `☀ ${this._formatEstimate(stats, minutes)}`;
+    const key = stats.cutoffPercent !== null ? 'footer.solar_no_cutoff' : 'footer.solar_no_full';
+    return `☀ ${this._t(key, { pct: Math.round(maxPercent) })}`;
+  }
+
+  /**
+   * Renders the history strip: SOC over the last history_hours as a step line, with power
+   * optionally drawn behind it against its own zero line. Step rather than interpolated,
+   * because that's what the recorder's states mean — a value holds until the next one.
+   * @param {{soc: Array<[number, number]>, power: Array<[number, number]>}|null} history
+   * @param {string} socColor - CSS colour for the SOC line
+   * @param {string|undefined} entityId - Entity a click opens: the SOC entity, or with
+   *   batteries: the first available pack's
+   * @returns {unknown} Lit template
+   */
+  _renderHistory(history, socColor, entityId) {
+    const span = (this._config.history_hours ?? 24) * 3600000;
+    const start = Date.now() - span;
+    // The stored history can reach further back than the strip, for the power average.
+    const soc = history ? trimSeries(history.soc, start) : [];
+    const powerSeries = history ? trimSeries(history.power, start) : [];
+    const x = (t) => (((Math.max(t, start) - start) / span) * 1000).toFixed(1);
+    const stepPath = (series, y) => {
+      if (!series?.length) return '';
+      const [[t0, v0], ...rest] = series;
+      return `M${x(t0)} ${y(v0)}${rest.map(([t, v]) => ` H${x(t)} V${y(v)}`).join('')} H1000`;
+    };
+    const socY = (v) => (100 - Math.min(100, Math.max(0, v))).toFixed(1);
+    const showPower = this._config.history_show_power && powerSeries.length;
+    const maxPower = showPower ? Math.max(1, ...powerSeries.map(([, v]) => Math.abs(v))) : 1;
+    const powerY = (v) => (50 - (v / maxPower) * 45).toFixed(1);
+
+    return html`
+      <div class="history" @click=${(e) => this._openMoreInfo(e, entityId)}>
+        <!-- Paths stay in this one template: a nested html fragment would land in the HTML
+             namespace and never draw. An empty d draws nothing. -->
+        <svg viewBox="0 0 1000 100" preserveAspectRatio="none" aria-hidden="true">
+          <path class="history-zero" d="${showPower ? 'M0 50 H1000' : ''}" vector-effect="non-scaling-stroke"></path>
+          <path class="history-power" d="${showPower ? stepPath(powerSeries, powerY) : ''}" vector-effect="non-scaling-stroke"></path>
+          <path class="history-soc" d="${stepPath(soc, socY)}" vector-effect="non-scaling-stroke"
+                style="stroke: ${socColor}"></path>
+        </svg>
+      </div>
+    `;
+  }
+
+  // The header's schedule line: the window in progress and when it ends, or else how long
+  // until the next one starts. Null when nothing is scheduled in the next day.
+  _nextScheduleText() {
+    const windows = this._scheduleWindows;
+    if (!this._config.schedule_entities?.length || !windows?.length) return null;
+    const now = Date.now();
+    const label = (w) => w.name || this._t(w.type === 'discharge' ? 'schedule.discharge' : 'schedule.charge');
+    const active = windows.find(w => w.start <= now && now < w.end);
+    if (active) {
+      const until = formatClockTime(new Date(active.end), this._config.time_format, this.hass?.locale);
+      return { text: this._t('schedule.until', { label: label(active), time: until }), entityId: active.entityId };
+    }
+    const next = windows.find(w => w.start > now && w.start - now <= SCHEDULE_SPAN_HOURS * 3600000);
+    if (!next) return null;
+    const duration = formatShortDuration((next.start - now) / 60000);
+    // Mid-sentence the built-in label is lower-cased ("Next forced charge in …"); {title} keeps
+    // its capitals for languages that need them, like German's nouns. A window's own name is
+    // used as written either way.
+    const params = { label: next.name || label(next).toLowerCase(), title: label(next), duration };
+    return { text: this._t('schedule.starts_in', params), entityId: next.entityId };
+  }
+
+  /**
+   * Renders the schedule strip: the next SCHEDULE_SPAN_HOURS from now, with each window as a
+   * block coloured by its type (or its own colour), and clock times every six hours.
+   * @param {Array<Object>} windows - Windows from _fetchSchedules
+   * @returns {unknown} Lit template
+   */
+  _renderSchedule(windows) {
+    const now = Date.now();
+    const span = SCHEDULE_SPAN_HOURS * 3600000;
+    const pct = (t) => Math.max(0, Math.min(100, ((t - now) / span) * 100));
+    const visible = windows.filter(w => w.end >= now && w.start <= now + span);
+    const colourOf = (w) => resolveColour(w.colour, w.type === 'discharge' ? 'rgb(255, 166, 0)' : 'rgb(0, 128, 0)');
+    const ticks = [0, 0.25, 0.5, 0.75, 1];
+    return html`
+      <div class="schedule">
+        <div class="schedule-bar">
+          ${visible.map(w => html`
+            <div class="schedule-window"
+                 style="left: ${pct(w.start)}%; width: ${pct(w.end) - pct(w.start)}%; background: ${colourOf(w)}"
+                 title="${w.name || this._t(w.type === 'discharge' ? 'schedule.discharge' : 'schedule.charge')}: ${formatClockTime(new Date(w.start), this._config.time_format, this.hass?.locale)}–${formatClockTime(new Date(w.end), this._config.time_format, this.hass?.locale)}"
+                 @click=${(e) => this._openMoreInfo(e, w.entityId)}></div>
+          `)}
+        </div>
+        <div class="schedule-labels">
+          ${ticks.map(f => html`
+            <span style="left: ${f * 100}%">${f === 0 ? this._t('schedule.now') : formatClockTime(new Date(now + f * span), this._config.time_format, this.hass?.locale)}</span>
+          `)}
+        </div>
+      </div>
+    `;
+  }
+
+  /**
+   * Renders the cells strip: one bar per cell, scaled so a balanced pack reads as a flat row
+   * and the lowest cell drops to half height once the spread reaches 10 mV. The lowest and
+   * highest cells stand out, and turn the warning colour with the delta once it passes
+   * cell_delta_warning. Each bar opens its cell's entity.
+   * @param {Object} cells - Result of readCells
+   * @returns {unknown} Lit template
+   */
+  _renderCells(cells) {
+    const floor = cells.min - Math.max(cells.max - cells.min, 0.01);
+    const height = (volts) => (((volts - floor) / (cells.max - floor)) * 100).toFixed(1);
+    const warn = cells.deltaMv > (this._config.cell_delta_warning ?? 50);
+    const volts = (v) => `${v.toFixed(3)} V`;
+    // Cell temperatures as a range, opening the hottest sensor
+    const hottest = cells.temps.reduce((a, b) => (b.value > a.value ? b : a), cells.temps[0]);
+    const coolest = cells.temps.reduce((a, b) => (b.value < a.value ? b : a), cells.temps[0]);
+    const tempRange = hottest && (Math.round(coolest.value) === Math.round(hottest.value)
+      ? formatStatValue(String(hottest.value), cells.tempUnit, 0)
+      : `${Math.round(coolest.value)}–${formatStatValue(String(hottest.value), cells.tempUnit, 0)}`);
+    return html`
+      <div class="cells ${warn ? 'warning' : ''}">
+        <div class="cells-bars">
+          ${cells.cells.map((cell, i) => html`
+            <div class="cell ${i === cells.minIndex ? 'min' : i === cells.maxIndex ? 'max' : ''}"
+                 title="${this._t('cells.cell', { n: i + 1 })}: ${cell.volts === null ? '--' : volts(cell.volts)}"
+                 @click=${(e) => this._openMoreInfo(e, cell.entityId)}>
+              <div class="cell-fill" style="height: ${cell.volts === null ? 0 : height(cell.volts)}%"></div>
+            </div>
+          `)}
+        </div>
+        <div class="cells-summary">
+          <div class="clickable" @click=${(e) => this._openMoreInfo(e, cells.cells[cells.minIndex].entityId)}>
+            ${this._t('cells.min')} <span>${volts(cells.min)}</span>
+          </div>
+          <div class="clickable" @click=${(e) => this._openMoreInfo(e, cells.cells[cells.maxIndex].entityId)}>
+            ${this._t('cells.max')} <span>${volts(cells.max)}</span>
+          </div>
+          <div>${this._t('cells.delta')} <span class="cells-delta">${cells.deltaMv} mV</span></div>
+          ${hottest ? html`
+            <div class="clickable" @click=${(e) => this._openMoreInfo(e, hottest.entityId)}>
+              ${this._t('cells.temp')} <span>${tempRange}</span>
             </div>
           ` : ''}
         </div>
+      </div>
+    `;
+  }
 
-        <!-- Footer -->
-        ${footerText && this._config.show_runtime !== false ? html`
-          <div class="footer">${footerText}</div>
+  /**
+   * Renders today's energy line: In today, Out today and the round-trip efficiency. Each
+   * figure opens its energy entity where there is one.
+   * @param {{chargedWh: number|null, dischargedWh: number|null, efficiency: number|null}} energy
+   * @param {number} decimals - Decimal places for kWh
+   * @returns {unknown} Lit template
+   */
+  _renderEnergyToday(energy, decimals) {
+    const format = (wh) => {
+      if (wh === null) return '--';
+      const formatted = formatEnergy(wh, Math.min(decimals, 2));
+      return `${formatted.value} ${formatted.unit}`;
+    };
+    const chargeEntity = this._config.charge_energy_entity;
+    const dischargeEntity = this._config.discharge_energy_entity;
+    return html`
+      <div class="energy-today">
+        <div class="${chargeEntity ? 'clickable' : ''}" @click=${(e) => this._openMoreInfo(e, chargeEntity)}>
+          ${this._t('energy.in_today')} <span>${format(energy.chargedWh)}</span>
+        </div>
+        <div class="${dischargeEntity ? 'clickable' : ''}" @click=${(e) => this._openMoreInfo(e, dischargeEntity)}>
+          ${this._t('energy.out_today')} <span>${format(energy.dischargedWh)}</span>
+        </div>
+        ${energy.efficiency !== null ? html`
+          <div>${this._t('energy.efficiency')} <span>${Math.round(energy.efficiency)}%</span></div>
         ` : ''}
-      </ha-card>
+      </div>
+    `;
+  }
+
+  /**
+   * Renders one chip per pack: a small SOC ring, the pack name, its SOC and its power.
+   * The chip opens the pack's SOC entity; the power figure opens its power entity.
+   * @param {Array<Object>} packs - Pack readings from readPack
+   * @returns {unknown} Lit template
+   */
+  _renderPacks(packs) {
+    return html`
+      <div class="packs">
+        ${packs.map(pack => {
+          const color = pack.available ? this._socColour(pack.socPercent) : 'var(--ubc-gauge-bg)';
+          const power = pack.power !== null ? formatPower(Math.abs(pack.power)) : null;
+          const status = pack.power !== null ? getBatteryStatus(pack.power, 0) : 'idle';
+          const arrow = status === 'charging' ? 'mdi:arrow-left' : status === 'discharging' ? 'mdi:arrow-right' : '';
+          return html`
+            <div class="pack ${pack.available ? '' : 'unavailable'}" @click=${(e) => this._openMoreInfo(e, pack.socEntity)}>
+              <div class="pack-gauge">${this._renderRing(pack.socPercent ?? 0, color, 20)}</div>
+              <span class="pack-name">${pack.name}</span>
+              <span class="pack-soc">${pack.socPercent !== null ? `${pack.socDerived ? '≈' : ''}${Math.round(pack.socPercent)}%` : '--%'}</span>
+              ${power ? html`
+                <span class="pack-power" @click=${(e) => this._openMoreInfo(e, pack.powerEntity)}>
+                  ${power.value} ${power.unit}${arrow ? html`<ha-icon icon="${arrow}"></ha-icon>` : ''}
+                </span>
+              ` : ''}
+            </div>
+          `;
+        })}
+      </div>
     `;
   }
 
+  // Whether the SOC and power entities are there to read. In multi-pack mode one complete pack
+  // is enough to draw the card.
+  _isConfigured() {
+    const sources = hasBatteryList(this._config) ? this._config.batteries : [this._config];
+    return sources.some(s => socSourceExists(this.hass, s) && powerSourceExists(this.hass, s));
+  }
+
   _renderError(message) {
     return html`
       <ha-card>
@@ -2034,7 +6921,7 @@ class UniversalBatteryCard extends LitElement {
             <div class="title-row">
               <span class="title">${this._config.name}</span>
             </div>
-            <div class="state-row skeleton">Loading...</div>
+            <div class="state-row skeleton">${this._t('loading')}</div>
           </div>
         </div>
         <div class="gauges-container">
@@ -2065,7 +6952,7 @@ class UniversalBatteryCard extends LitElement {
               <span class="title">${this._config.name}</span>
             </div>
             <div class="state-row" style="opacity: 0.6">
-              Configure entities to get started
+              ${this._t('preview.configure')}
             </div>
           </div>
         </div>
@@ -2090,6 +6977,139 @@ if (!customElements.get('universal-battery-card')) {
   customElements.define('universal-battery-card', UniversalBatteryCard);
 }
 
+// ============================================================================
+// BADGE
+// ============================================================================
+
+// The same battery as a badge: the SOC ring, the percentage and which way power is flowing.
+// It is the card with a different render, so config, validation, multi-pack mode, templates
+// and actions all behave as they do on the card; the whole badge is the SOC gauge's element.
+class UniversalBatteryBadge extends UniversalBatteryCard {
+  static get styles() { return badgeStyles; }
+
+  static getConfigElement() {
+    return document.createElement('universal-battery-badge-editor');
+  }
+
+  static getStubConfig() {
+    return { type: 'custom:universal-battery-badge', soc_entity: '', power_entity: '' };
+  }
+
+  // A badge has one size, so there is nothing for the card's sizing pass to do
+  _updateGaugeSize() {}
+
+  render() {
+    if (!this.hass || !this._config) return html``;
+
+    // Until its entities exist the badge shows an empty ring rather than the card's preview
+    const stats = this._isConfigured() ? this._calculateStats() : null;
+    const socColor = stats ? this._socColour(stats.socPercent) : 'var(--ubc-secondary-text)';
+    const batteryIcon = stats
+      ? getSocLevel(stats.socPercent, this._config).icon || getBatteryIcon(stats.socPercent)
+      : 'mdi:battery-unknown';
+    const arrow = stats?.status === 'charging' ? { icon: 'mdi:arrow-up', colour: 'rgb(0, 128, 0)' }
+      : stats?.status === 'discharging' ? { icon: 'mdi:arrow-down', colour: 'rgb(255, 166, 0)' }
+      : null;
+
+    return html`
+      <div class="badge" data-action="soc_gauge"
+           title="${stats?.socDerived ? this._t('gauge.soc_derived') : ''}"
+           @click=${this._onActionClick}
+           @pointerdown=${this._onActionPointerDown}
+           @pointermove=${this._onActionPointerMove}
+           @pointerup=${this._onActionPointerUp}
+           @pointercancel=${this._onActionPointerUp}
+           @pointerleave=${this._onActionPointerUp}
+           @contextmenu=${this._onActionContextMenu}>
+        <div class="badge-ring">
+          ${this._renderRing(stats?.socPercent ?? 0, socColor, 14)}
+          <ha-icon icon="${batteryIcon}" style="color: ${socColor}"></ha-icon>
+        </div>
+        <div class="badge-info">
+          ${this._config.show_name ? html`
+            <span class="badge-name">${this._templateText('name') ?? this._config.name}</span>
+          ` : ''}
+          <span class="badge-state">
+            ${stats ? `${stats.socDerived ? '≈' : ''}${Math.round(stats.socPercent)}%` : '--%'}
+            ${arrow ? html`<ha-icon icon="${arrow.icon}" style="color: ${arrow.colour}"></ha-icon>` : ''}
+          </span>
+        </div>
+      </div>
+    `;
+  }
+}
+
+if (!customElements.get('universal-battery-badge')) {
+  customElements.define('universal-battery-badge', UniversalBatteryBadge);
+}
+
+// ============================================================================
+// TILE FEATURE
+// ============================================================================
+
+// The battery under a tile card, e.g. the inverter's: a slim SOC bar with the reserve and cutoff
+// ticks, then the SOC, the current power and the first runtime line. Like the badge it is the
+// card with a different render. It reads its own entities rather than the tile's, which is
+// usually some other device, and is the SOC gauge's element for actions.
+class UniversalBatteryFeature extends UniversalBatteryCard {
+  static get styles() { return featureStyles; }
+
+  static getConfigElement() {
+    return document.createElement('universal-battery-feature-editor');
+  }
+
+  static getStubConfig() {
+    return { type: 'custom:universal-battery-feature', soc_entity: '', power_entity: '' };
+  }
+
+  // The tile decides the feature's size
+  _updateGaugeSize() {}
+
+  render() {
+    if (!this.hass || !this._config) return html``;
+    if (!this._isConfigured()) return html``;
+    const stats = this._calculateStats();
+    if (!stats) return html``;
+
+    const socColor = this._socColour(stats.socPercent);
+    const power = formatPower(Math.abs(stats.power));
+    const direction = stats.status === 'charging' ? this._t('direction.charge')
+      : stats.status === 'discharging' ? this._t('direction.discharge') : this._t('direction.idle');
+    const runtime = this._config.show_runtime !== false ? this._footerLines(stats)[0] : undefined;
+    const tick = (key, percent) => percent === null ? '' : html`
+      <div class="feature-tick ${key}" style="left: ${Math.max(0, Math.min(100, percent))}%"></div>
+    `;
+
+    return html`
+      <div class="feature" data-action="soc_gauge"
+           @click=${this._onActionClick}
+           @pointerdown=${this._onActionPointerDown}
+           @pointermove=${this._onActionPointerMove}
+           @pointerup=${this._onActionPointerUp}
+           @pointercancel=${this._onActionPointerUp}
+           @pointerleave=${this._onActionPointerUp}
+           @contextmenu=${this._onActionContextMenu}>
+        <div class="feature-bar">
+          <div class="feature-fill" style="width: ${Math.max(0, Math.min(100, stats.socPercent))}%; background: ${socColor}"></div>
+          ${tick('reserve', stats.reservePercent)}
+          ${tick('cutoff', stats.cutoffPercent)}
+        </div>
+        <div class="feature-line">
+          <span class="soc" style="color: ${socColor}" title="${stats.socDerived ? this._t('gauge.soc_derived') : ''}">
+            ${stats.socDerived ? '≈' : ''}${Math.round(stats.socPercent)}%
+          </span>
+          <span>${power.value} ${power.unit} ${direction}</span>
+          ${runtime ? html`<span class="runtime" title="${runtime}">${runtime}</span>` : ''}
+        </div>
+      </div>
+    `;
+  }
+}
+
+if (!customElements.get('universal-battery-feature')) {
+  customElements.define('universal-battery-feature', UniversalBatteryFeature);
+}
+
 window.customCards = window.customCards || [];
 window.customCards.push({
   type: 'universal-battery-card',
@@ -2109,6 +7129,24 @@ window.customCards.push({
   },
 });
 
+window.customBadges = window.customBadges || [];
+window.customBadges.push({
+  type: 'universal-battery-badge',
+  name: BADGE_NAME,
+  description: BADGE_DESCRIPTION,
+  preview: true,
+  documentationURL: 'https://github.com/laurence-syree/universal-battery-card#badge',
+});
+
+// Offered for any tile: the feature reads its own entities, so the tile's doesn't matter.
+window.customCardFeatures = window.customCardFeatures || [];
+window.customCardFeatures.push({
+  type: 'universal-battery-feature',
+  name: FEATURE_NAME,
+  supported: () => true,
+  configurable: true,
+});
+
 console.info(
   `%c UNIVERSAL-BATTERY-CARD %c v${VERSION} `,
   'color: white; background: #3498db; font-weight: bold;',